@@ -0,0 +1,30 @@
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('./db');
+
+// Record an admin action. Pass the transaction client to commit it together with the change it describes.
+const logAdminAction = async ({ adminId, action, targetType = null, targetId = null, details = null }, client = pool) => {
+  await client.query(
+    'INSERT INTO admin_audit_log (id, admin_id, action, target_type, target_id, details) VALUES ($1, $2, $3, $4, $5, $6)',
+    [uuidv4(), adminId, action, targetType, targetId, details ? JSON.stringify(details) : null]
+  );
+};
+
+// Newest first. Every filter is optional.
+const listAdminActions = async ({ adminId = null, action = null, targetId = null, limit = 100 } = {}) => {
+  const res = await pool.query(`
+    SELECT l.*, u.username AS admin_username
+    FROM admin_audit_log l
+    LEFT JOIN users u ON u.id = l.admin_id
+    WHERE ($1::uuid IS NULL OR l.admin_id = $1)
+      AND ($2::text IS NULL OR l.action = $2)
+      AND ($3::text IS NULL OR l.target_id = $3)
+    ORDER BY l.created_at DESC
+    LIMIT $4
+  `, [adminId, action, targetId, limit]);
+  return res.rows;
+};
+
+module.exports = {
+  logAdminAction,
+  listAdminActions
+};
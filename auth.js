@@ -0,0 +1,183 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { pool, redis } = require('./db');
+require('dotenv').config();
+
+// Signing secret for access/refresh tokens. Without JWT_SECRET every restart
+// invalidates all sessions and multiple instances won't accept each other's tokens.
+let JWT_SECRET = process.env.JWT_SECRET;
+if (!JWT_SECRET) {
+  console.warn('[Auth] JWT_SECRET not set. Using a random per-process secret.');
+  JWT_SECRET = crypto.randomBytes(32).toString('hex');
+}
+
+const ACCESS_TOKEN_TTL = 15 * 60; // 15 mins (seconds)
+const REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60; // 30 days (seconds)
+
+// Redis keys
+const refreshKey = (jti) => `auth:refresh:${jti}`;
+const revokedKey = (jti) => `auth:revoked:${jti}`;
+const revokedBeforeKey = (userId) => `auth:revoked_before:${userId}`;
+
+// Issue a new access + refresh token pair. The refresh token is only valid
+// while its id is present in Redis, so it can be revoked server-side.
+const issueTokens = async (user) => {
+  const refreshJti = uuidv4();
+
+  const accessToken = jwt.sign(
+    { sub: user.id, username: user.username, type: 'access' },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL, jwtid: uuidv4() }
+  );
+  const refreshToken = jwt.sign(
+    { sub: user.id, username: user.username, type: 'refresh' },
+    JWT_SECRET,
+    { expiresIn: REFRESH_TOKEN_TTL, jwtid: refreshJti }
+  );
+
+  await redis.set(refreshKey(refreshJti), user.id, 'EX', REFRESH_TOKEN_TTL);
+
+  return { accessToken, refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+};
+
+// Returns the decoded payload, or null if the token is malformed, expired or revoked.
+// Redis failures are thrown so callers can tell them apart from bad tokens.
+const verifyToken = async (token, type) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (e) {
+    return null;
+  }
+  if (payload.type !== type) return null;
+
+  const [revoked, revokedBefore] = await redis.mget(revokedKey(payload.jti), revokedBeforeKey(payload.sub));
+  if (revoked) return null;
+  if (revokedBefore && payload.iat < parseInt(revokedBefore, 10)) return null;
+
+  if (type === 'refresh') {
+    const exists = await redis.exists(refreshKey(payload.jti));
+    if (!exists) return null;
+  }
+  return payload;
+};
+
+const verifyAccessToken = async (token) => {
+  const payload = await verifyToken(token, 'access');
+  return payload ? { id: payload.sub, username: payload.username, jti: payload.jti, exp: payload.exp } : null;
+};
+
+// Rotate: the presented refresh token is consumed and a fresh pair is issued.
+const refreshTokens = async (refreshToken) => {
+  const payload = await verifyToken(refreshToken, 'refresh');
+  if (!payload) return null;
+
+  // DEL returns 0 if a concurrent refresh already consumed this token
+  const deleted = await redis.del(refreshKey(payload.jti));
+  if (!deleted) return null;
+
+  return issueTokens({ id: payload.sub, username: payload.username });
+};
+
+// Logout: blacklist the access token for its remaining lifetime and drop the refresh token.
+const revokeTokens = async (accessUser, refreshToken) => {
+  const ttl = accessUser.exp - Math.floor(Date.now() / 1000);
+  if (ttl > 0) await redis.set(revokedKey(accessUser.jti), '1', 'EX', ttl);
+
+  if (refreshToken) {
+    try {
+      const payload = jwt.verify(refreshToken, JWT_SECRET);
+      if (payload.type === 'refresh' && payload.sub === accessUser.id) {
+        await redis.del(refreshKey(payload.jti));
+      }
+    } catch (e) {
+      // Already invalid, nothing to revoke
+    }
+  }
+};
+
+// Invalidate every token issued to a user before now (e.g. after a password reset).
+const revokeAllSessions = async (userId) => {
+  await redis.set(revokedBeforeKey(userId), Math.floor(Date.now() / 1000) + 1, 'EX', REFRESH_TOKEN_TTL);
+};
+
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7) : null;
+};
+
+// Express middleware: sets req.user = { id, username } from the Bearer token
+const requireAuth = async (req, res, next) => {
+  const token = getBearerToken(req);
+  if (!token) {
+    return res.status(401).json({ success: false, message: 'Authentication required' });
+  }
+  try {
+    const user = await verifyAccessToken(token);
+    if (!user) {
+      return res.status(401).json({ success: false, message: 'Invalid or expired token' });
+    }
+    req.user = user;
+    next();
+  } catch (e) {
+    console.error('Auth Error:', e);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Express middleware: the :userId style route param must be the authenticated user
+const requireSelf = (param = 'userId') => (req, res, next) => {
+  if (req.params[param] !== req.user.id) {
+    return res.status(403).json({ success: false, message: 'Forbidden' });
+  }
+  next();
+};
+
+// Express middleware (after requireAuth): only users flagged is_admin
+const requireAdmin = async (req, res, next) => {
+  try {
+    const result = await pool.query('SELECT is_admin FROM users WHERE id = $1', [req.user.id]);
+    if (!result.rows[0] || !result.rows[0].is_admin) {
+      return res.status(403).json({ success: false, message: 'Admin access required' });
+    }
+    next();
+  } catch (e) {
+    console.error('Admin Check Error:', e);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// Express middleware (after requireAuth): the route param is the authenticated user, or they're an admin
+const requireSelfOrAdmin = (param = 'userId') => (req, res, next) => {
+  if (req.params[param] === req.user.id) return next();
+  return requireAdmin(req, res, next);
+};
+
+// Socket.IO middleware: clients pass the access token as `auth: { token }` in the handshake
+const authenticateSocket = async (socket, next) => {
+  const token = (socket.handshake.auth && socket.handshake.auth.token) || socket.handshake.query.token;
+  if (!token) return next(new Error('Authentication required'));
+  try {
+    const user = await verifyAccessToken(token);
+    if (!user) return next(new Error('Invalid or expired token'));
+    socket.user = user;
+    next();
+  } catch (e) {
+    console.error('Socket Auth Error:', e);
+    next(new Error('Server error'));
+  }
+};
+
+module.exports = {
+  issueTokens,
+  verifyAccessToken,
+  refreshTokens,
+  revokeTokens,
+  revokeAllSessions,
+  requireAuth,
+  requireSelf,
+  requireAdmin,
+  requireSelfOrAdmin,
+  authenticateSocket
+};
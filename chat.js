@@ -0,0 +1,136 @@
+const { v4: uuidv4 } = require('uuid');
+const { pool, redis } = require('./db');
+const { UUID_PATTERN } = require('./support');
+const rateLimit = require('./rateLimit');
+require('dotenv').config();
+
+// In-game chat between the two players of a match, open during the game and for a while
+// after it. Every message is stored in match_chat (blocked ones too, for support).
+
+const MAX_MESSAGE_LENGTH = 300;
+const POST_GAME_CHAT_MS = 10 * 60000;
+const RATE_LIMIT = parseInt(process.env.CHAT_RATE_LIMIT, 10) || 5; // Messages per window, per user
+const RATE_WINDOW_MS = 10000;
+const MUTE_TTL_MS = 24 * 3600 * 1000;
+
+// Which filters run: 'profanity' masks words, 'phone' and 'upi' block the whole message
+// (people use chat to arrange off-platform deals)
+const CHAT_FILTERS = (process.env.CHAT_FILTERS || 'profanity,phone,upi').split(',').map(f => f.trim()).filter(Boolean);
+const BLOCKED_WORDS = (process.env.CHAT_BLOCKED_WORDS || 'fuck,shit,bitch,bastard,asshole,cunt,chutiya,madarchod,behenchod,bhenchod,gandu,randi')
+  .split(',').map(w => w.trim().toLowerCase()).filter(Boolean);
+
+const PROFANITY_PATTERN = BLOCKED_WORDS.length > 0
+  ? new RegExp(`\\b(${BLOCKED_WORDS.map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})(?:s|es|ed|er|ers|ing|y)?\\b`, 'gi')
+  : null;
+// 10-digit Indian mobile numbers, with optional +91/0 prefix and spaces, dots or dashes between digits
+const PHONE_PATTERN = /(?:\+?91[\s.-]*|\b0)?\b[6-9](?:[\s.-]*\d){9}\b/;
+const UPI_PATTERN = /\b[\w.-]{2,}@[a-z]{2,}\b/i;
+
+// Redis key
+const muteKey = (matchId, userId) => `chat_mute:${matchId}:${userId}`; // Who userId has muted in matchId
+
+class ChatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ChatError';
+  }
+}
+
+// { text, blockedReason }: the text to deliver (masked), or a reason it must not be delivered
+const filterMessage = (message) => {
+  let text = message;
+  if (CHAT_FILTERS.includes('phone') && PHONE_PATTERN.test(text)) return { text, blockedReason: 'phone' };
+  if (CHAT_FILTERS.includes('upi') && UPI_PATTERN.test(text)) return { text, blockedReason: 'upi' };
+  if (CHAT_FILTERS.includes('profanity') && PROFANITY_PATTERN) text = text.replace(PROFANITY_PATTERN, w => '*'.repeat(w.length));
+  return { text, blockedReason: null };
+};
+
+// The match's players, if userId is one of them and chat is still open
+const loadChatMatch = async (matchId, userId) => {
+  if (!UUID_PATTERN.test(String(matchId || ''))) throw new ChatError('Not in this match');
+  const res = await pool.query('SELECT id, white_player_id, black_player_id, ended_at FROM matches WHERE id = $1', [matchId]);
+  const match = res.rows[0];
+  if (!match || (match.white_player_id !== userId && match.black_player_id !== userId)) throw new ChatError('Not in this match');
+  return {
+    matchId: match.id,
+    opponentId: match.white_player_id === userId ? match.black_player_id : match.white_player_id,
+    open: !match.ended_at || Date.now() - match.ended_at.getTime() < POST_GAME_CHAT_MS
+  };
+};
+
+const isMuted = async (matchId, listenerId, speakerId) => (await redis.sismember(muteKey(matchId, listenerId), speakerId)) === 1;
+
+// Filter and store one message. Returns { message, blockedReason, deliverTo }; deliverTo lists the
+// users who should receive it (empty if blocked).
+const sendMessage = async (user, matchId, rawMessage) => {
+  const message = String(rawMessage || '').trim();
+  if (!message) throw new ChatError('Message is empty');
+  if (message.length > MAX_MESSAGE_LENGTH) throw new ChatError(`Messages are limited to ${MAX_MESSAGE_LENGTH} characters`);
+
+  const match = await loadChatMatch(matchId, user.id);
+  if (!match.open) throw new ChatError('Chat for this game has closed');
+  if (!(await rateLimit.hit('chat', user.id, RATE_LIMIT, RATE_WINDOW_MS)).allowed) throw new ChatError('You are sending messages too quickly');
+
+  const { text, blockedReason } = filterMessage(message);
+  const res = await pool.query(
+    `INSERT INTO match_chat (id, match_id, user_id, message, original_message, blocked_reason)
+     VALUES ($1, $2, $3, $4, $5, $6) RETURNING id, created_at`,
+    [uuidv4(), matchId, user.id, text, text === message ? null : message, blockedReason]
+  );
+
+  const deliverTo = [];
+  if (!blockedReason) {
+    deliverTo.push(user.id);
+    if (match.opponentId && !(await isMuted(matchId, match.opponentId, user.id))) deliverTo.push(match.opponentId);
+  }
+  return {
+    blockedReason,
+    message: { id: res.rows[0].id, matchId, userId: user.id, username: user.username, message: text, ts: res.rows[0].created_at },
+    deliverTo
+  };
+};
+
+const setMuted = async (userId, matchId, muted) => {
+  const match = await loadChatMatch(matchId, userId);
+  if (!match.opponentId) throw new ChatError('No opponent to mute');
+  if (muted) {
+    await redis.multi().sadd(muteKey(matchId, userId), match.opponentId).pexpire(muteKey(matchId, userId), MUTE_TTL_MS).exec();
+  } else {
+    await redis.srem(muteKey(matchId, userId), match.opponentId);
+  }
+};
+
+// What a player sees: delivered messages, minus the opponent's if they muted them
+const getHistory = async (userId, matchId) => {
+  const match = await loadChatMatch(matchId, userId);
+  const muted = match.opponentId ? await isMuted(matchId, userId, match.opponentId) : false;
+  const res = await pool.query(`
+    SELECT c.id, c.user_id, u.username, c.message, c.created_at
+    FROM match_chat c
+    JOIN users u ON u.id = c.user_id
+    WHERE c.match_id = $1 AND c.blocked_reason IS NULL AND ($2::boolean = FALSE OR c.user_id = $3)
+    ORDER BY c.created_at ASC
+  `, [matchId, muted, userId]);
+  return { muted, messages: res.rows };
+};
+
+// Full log for support, including blocked messages and the unmasked originals
+const getLog = async (matchId) => {
+  const res = await pool.query(`
+    SELECT c.id, c.user_id, u.username, c.message, c.original_message, c.blocked_reason, c.created_at
+    FROM match_chat c
+    JOIN users u ON u.id = c.user_id
+    WHERE c.match_id = $1
+    ORDER BY c.created_at ASC
+  `, [matchId]);
+  return res.rows;
+};
+
+module.exports = {
+  ChatError,
+  filterMessage,
+  sendMessage,
+  setMuted,
+  getHistory,
+  getLog
+};
@@ -55,12 +55,28 @@ const initDb = async () => {
       }
     };
 
+    // Same savepoint approach for indexes (e.g. a unique index over legacy duplicate rows)
+    const addIndex = async (name, sql) => {
+      try {
+        await client.query(`SAVEPOINT add_idx_${name}`);
+        await client.query(sql);
+        await client.query(`RELEASE SAVEPOINT add_idx_${name}`);
+      } catch (e) {
+        await client.query(`ROLLBACK TO SAVEPOINT add_idx_${name}`);
+        console.error(`Failed to create index ${name}:`, e.message);
+      }
+    };
+
     await addColumn('users', 'email', 'VARCHAR(255) UNIQUE'); // Migration
     await addColumn('users', 'wins', 'INT DEFAULT 0');
     await addColumn('users', 'losses', 'INT DEFAULT 0');
     await addColumn('users', 'draws', 'INT DEFAULT 0');
     await addColumn('users', 'rating', 'INT DEFAULT 1200');
-    await addColumn('transactions', 'description', 'VARCHAR(255)');
+    await addColumn('users', 'rating_deviation', 'REAL DEFAULT 350'); // Glicko-2 RD
+    await addColumn('users', 'rating_volatility', 'REAL DEFAULT 0.06'); // Glicko-2 sigma
+    await addColumn('users', 'is_admin', 'BOOLEAN DEFAULT FALSE');
+    await addColumn('users', 'referral_code', 'VARCHAR(12) UNIQUE');
+    await addColumn('users', 'device_id', 'VARCHAR(100)'); // Last device the client reported (referral abuse checks)
 
     // Matches Table
     await client.query(`
@@ -77,19 +93,30 @@ const initDb = async () => {
         ended_at TIMESTAMP
       );
     `);
+    await addColumn('matches', 'escrow_amount', 'DECIMAL(10, 2) DEFAULT 0.00'); // Entry fees held for this match
+    await addColumn('matches', 'escrow_status', 'VARCHAR(20)'); // 'held', 'settled', 'refunded', or 'none' for free games
+    await addColumn('matches', 'moves', 'JSONB'); // Per-move record: san, fen, clocks, timestamps
+    await addColumn('matches', 'game_mode', 'VARCHAR(20)');
+    await addColumn('matches', 'time_control', 'VARCHAR(20)'); // e.g. '3+2', '5+0d3'
 
     // Transactions Table (Wallet)
     await client.query(`
       CREATE TABLE IF NOT EXISTS transactions (
         id UUID PRIMARY KEY,
         user_id UUID REFERENCES users(id),
-        type VARCHAR(20) NOT NULL, -- 'deposit', 'withdrawal', 'entry_fee', 'winnings'
+        type VARCHAR(20) NOT NULL, -- 'deposit', 'withdrawal', 'entry_fee', 'winnings', 'refund', 'bonus'
         amount DECIMAL(10, 2) NOT NULL,
         status VARCHAR(20) DEFAULT 'completed',
         reference_id VARCHAR(255),
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
     `);
+    await addColumn('transactions', 'description', 'VARCHAR(255)');
+    // Gateway deposits: status goes 'pending' -> 'completed' | 'failed' | 'expired'
+    await addColumn('transactions', 'provider', 'VARCHAR(20)');
+    await addColumn('transactions', 'provider_order_id', 'VARCHAR(255)');
+    await addColumn('transactions', 'provider_payment_id', 'VARCHAR(255)');
+    await addColumn('transactions', 'expires_at', 'TIMESTAMP');
 
     // Referrals Table
     await client.query(`
@@ -101,6 +128,11 @@ const initDb = async () => {
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
     `);
+    await addColumn('referrals', 'status', "VARCHAR(20) DEFAULT 'pending'"); // 'pending', 'qualified', 'blocked'
+    await addColumn('referrals', 'blocked_reason', 'VARCHAR(30)'); // 'same_email', 'same_device'
+    await addColumn('referrals', 'referee_email_key', 'VARCHAR(255)'); // Normalised email of the referred user
+    await addColumn('referrals', 'referee_bonus', 'DECIMAL(10, 2) DEFAULT 0.00');
+    await addColumn('referrals', 'qualified_at', 'TIMESTAMP');
 
     // Support/Complaints Table
     await client.query(`
@@ -109,7 +141,24 @@ const initDb = async () => {
         user_id UUID REFERENCES users(id),
         subject VARCHAR(255),
         message TEXT,
-        status VARCHAR(20) DEFAULT 'open', -- 'open', 'resolved'
+        status VARCHAR(20) DEFAULT 'open', -- 'open', 'in_progress', 'resolved'
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await addColumn('support_tickets', 'assigned_to', 'UUID REFERENCES users(id)'); // Admin handling it
+    await addColumn('support_tickets', 'match_id', 'UUID REFERENCES matches(id)'); // Disputed match, if any
+    await addColumn('support_tickets', 'transaction_id', 'UUID REFERENCES transactions(id)'); // Disputed transaction, if any
+    await addColumn('support_tickets', 'updated_at', 'TIMESTAMP');
+    await addColumn('support_tickets', 'resolved_at', 'TIMESTAMP');
+
+    // Replies on a ticket (the ticket's own message is the first one)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS support_messages (
+        id UUID PRIMARY KEY,
+        ticket_id UUID REFERENCES support_tickets(id),
+        author_id UUID REFERENCES users(id),
+        is_staff BOOLEAN DEFAULT FALSE,
+        message TEXT NOT NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
     `);
@@ -137,6 +186,91 @@ const initDb = async () => {
       );
     `);
 
+    // Rating History (one row per player per rated game)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS rating_history (
+        id UUID PRIMARY KEY,
+        user_id UUID REFERENCES users(id),
+        match_id UUID REFERENCES matches(id),
+        game_mode VARCHAR(20), -- NULL = overall rating
+        rating_before INT NOT NULL,
+        rating_after INT NOT NULL,
+        deviation REAL NOT NULL,
+        volatility REAL NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await addColumn('rating_history', 'game_mode', 'VARCHAR(20)');
+
+    // Per Game Mode Ratings & Stats
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_mode_stats (
+        user_id UUID REFERENCES users(id),
+        game_mode VARCHAR(20) NOT NULL,
+        rating INT DEFAULT 1200,
+        rating_deviation REAL DEFAULT 350,
+        rating_volatility REAL DEFAULT 0.06,
+        wins INT DEFAULT 0,
+        losses INT DEFAULT 0,
+        draws INT DEFAULT 0,
+        PRIMARY KEY (user_id, game_mode)
+      );
+    `);
+
+    // Tournaments (Swiss / Arena). Buy-ins are held in prize_pool until payout.
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS tournaments (
+        id UUID PRIMARY KEY,
+        name VARCHAR(255) NOT NULL,
+        format VARCHAR(10) NOT NULL, -- 'swiss', 'arena'
+        time_control VARCHAR(20) NOT NULL, -- Game mode whose clock the games use
+        buy_in DECIMAL(10, 2) DEFAULT 0.00,
+        rake_percent DECIMAL(5, 2) DEFAULT 10.00,
+        prize_distribution JSONB NOT NULL, -- Percent of the net pool per place, e.g. [50, 30, 20]
+        max_players INT,
+        rounds INT, -- Swiss
+        duration_minutes INT, -- Arena
+        starts_at TIMESTAMP NOT NULL,
+        ends_at TIMESTAMP,
+        status VARCHAR(20) DEFAULT 'scheduled', -- 'scheduled', 'running', 'finished', 'cancelled'
+        current_round INT DEFAULT 0,
+        prize_pool DECIMAL(10, 2) DEFAULT 0.00,
+        escrow_status VARCHAR(20) DEFAULT 'held', -- 'held', 'settled', 'refunded', or 'none' for free games
+        created_by UUID REFERENCES users(id),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        ended_at TIMESTAMP
+      );
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS tournament_players (
+        tournament_id UUID REFERENCES tournaments(id),
+        user_id UUID REFERENCES users(id),
+        withdrawn BOOLEAN DEFAULT FALSE,
+        final_rank INT,
+        prize DECIMAL(10, 2) DEFAULT 0.00,
+        joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (tournament_id, user_id)
+      );
+    `);
+
+    // One row per pairing; black_id NULL is a bye. result: '1-0', '0-1', '1/2-1/2', '0-0' (double forfeit), NULL while playing
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS tournament_games (
+        id UUID PRIMARY KEY,
+        tournament_id UUID REFERENCES tournaments(id),
+        round INT NOT NULL,
+        match_id UUID REFERENCES matches(id),
+        white_id UUID REFERENCES users(id),
+        black_id UUID REFERENCES users(id),
+        result VARCHAR(10),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    await addColumn('company_earnings', 'tournament_id', 'UUID REFERENCES tournaments(id)');
+
     // KYC Table
     await client.query(`
       CREATE TABLE IF NOT EXISTS users_kyc (
@@ -153,6 +287,139 @@ const initDb = async () => {
       );
     `);
 
+    await addColumn('users_kyc', 'reviewed_by', 'UUID REFERENCES users(id)');
+
+    // Admin Audit Trail (who did what to which record)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS admin_audit_log (
+        id UUID PRIMARY KEY,
+        admin_id UUID REFERENCES users(id),
+        action VARCHAR(50) NOT NULL, -- e.g. 'kyc.approve', 'kyc.view_document'
+        target_type VARCHAR(30), -- 'user', 'tournament', ...
+        target_id VARCHAR(255),
+        details JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    // Saved payout destinations (removed ones are deactivated, past withdrawals keep them)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS payout_methods (
+        id UUID PRIMARY KEY,
+        user_id UUID REFERENCES users(id),
+        type VARCHAR(10) NOT NULL, -- 'upi', 'bank'
+        upi_id VARCHAR(320),
+        account_holder VARCHAR(100),
+        account_number VARCHAR(20),
+        ifsc VARCHAR(11),
+        active BOOLEAN DEFAULT TRUE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+
+    // Withdrawal Requests (the amount leaves the wallet on request, see withdrawals.js)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS withdrawals (
+        id UUID PRIMARY KEY,
+        user_id UUID REFERENCES users(id),
+        payout_method_id UUID REFERENCES payout_methods(id),
+        amount DECIMAL(10, 2) NOT NULL,
+        status VARCHAR(20) DEFAULT 'pending', -- 'pending', 'approved', 'rejected', 'paid', 'cancelled'
+        rejection_reason TEXT,
+        payout_reference VARCHAR(100),
+        reviewed_by UUID REFERENCES users(id),
+        requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        reviewed_at TIMESTAMP,
+        paid_at TIMESTAMP
+      );
+    `);
+
+    // Fair Play: one row per signal hit, and the review queue (one row per account)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS fair_play_flags (
+        id UUID PRIMARY KEY,
+        user_id UUID REFERENCES users(id),
+        signal VARCHAR(40) NOT NULL, -- 'consistent_move_times', 'upset_streak', 'repeated_pairing'
+        weight REAL NOT NULL,
+        subject VARCHAR(255), -- What the signal is about (match or opponent), for de-duplication
+        match_id UUID REFERENCES matches(id),
+        details JSONB,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS fair_play_reviews (
+        user_id UUID PRIMARY KEY REFERENCES users(id),
+        status VARCHAR(20) DEFAULT 'pending', -- 'pending', 'cleared', 'confirmed'
+        score REAL,
+        opened_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        decision_notes TEXT,
+        reviewed_by UUID REFERENCES users(id),
+        reviewed_at TIMESTAMP
+      );
+    `);
+    await addColumn('users', 'withdrawals_frozen', 'BOOLEAN DEFAULT FALSE');
+    await addColumn('users', 'withdrawals_frozen_reason', 'TEXT');
+
+    // In-game chat log, kept with the match for support
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS match_chat (
+        id UUID PRIMARY KEY,
+        match_id UUID REFERENCES matches(id),
+        user_id UUID REFERENCES users(id),
+        message TEXT NOT NULL, -- As delivered (profanity masked)
+        original_message TEXT, -- Set when the filter changed the text
+        blocked_reason VARCHAR(20), -- 'phone', 'upi': stored but never delivered
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await addIndex('match_chat_match_idx', 'CREATE INDEX IF NOT EXISTS match_chat_match_idx ON match_chat (match_id, created_at)');
+
+    // Email outbox (see notifications.js)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS notification_outbox (
+        id UUID PRIMARY KEY,
+        user_id UUID REFERENCES users(id),
+        recipient VARCHAR(255) NOT NULL,
+        template VARCHAR(50) NOT NULL,
+        payload JSONB NOT NULL,
+        status VARCHAR(20) DEFAULT 'pending', -- 'pending', 'sent', 'failed'
+        attempts INTEGER DEFAULT 0,
+        next_attempt_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_error TEXT,
+        dedupe_key VARCHAR(255), -- At most one email per key (e.g. one result email per player per match)
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        sent_at TIMESTAMP
+      );
+    `);
+    await addIndex('notification_outbox_due_idx',
+      "CREATE INDEX IF NOT EXISTS notification_outbox_due_idx ON notification_outbox (next_attempt_at) WHERE status = 'pending'");
+    await addIndex('notification_outbox_dedupe_key',
+      'CREATE UNIQUE INDEX IF NOT EXISTS notification_outbox_dedupe_key ON notification_outbox (dedupe_key) WHERE dedupe_key IS NOT NULL');
+
+    // Devices each user has signed in from, for new-device alerts
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_devices (
+        user_id UUID REFERENCES users(id),
+        device_id VARCHAR(100) NOT NULL,
+        first_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_seen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (user_id, device_id)
+      );
+    `);
+
+    // Ledger idempotency: one entry per (user, type, reference) and one rake row per match
+    await addIndex('transactions_ledger_key',
+      'CREATE UNIQUE INDEX IF NOT EXISTS transactions_ledger_key ON transactions (user_id, type, reference_id) WHERE reference_id IS NOT NULL');
+    await addIndex('transactions_pending_expiry_idx',
+      "CREATE INDEX IF NOT EXISTS transactions_pending_expiry_idx ON transactions (expires_at) WHERE status = 'pending'");
+    await addIndex('referrals_referred_user_key',
+      'CREATE UNIQUE INDEX IF NOT EXISTS referrals_referred_user_key ON referrals (referred_user_id)');
+    await addIndex('company_earnings_match_key',
+      'CREATE UNIQUE INDEX IF NOT EXISTS company_earnings_match_key ON company_earnings (match_id) WHERE match_id IS NOT NULL');
+    await addIndex('company_earnings_tournament_key',
+      'CREATE UNIQUE INDEX IF NOT EXISTS company_earnings_tournament_key ON company_earnings (tournament_id) WHERE tournament_id IS NOT NULL');
+
     await client.query('COMMIT');
     console.log('Database schema initialized all tables created/verified');
   } catch (e) {
@@ -0,0 +1,172 @@
+// Transactional email templates. Each takes the data queued with the notification (always
+// including the recipient's username) and returns { subject, html }. Anything user or admin
+// supplied must go through escapeHtml.
+
+// HTML Email Template Builder
+const getHtmlTemplate = (title, bodyContent) => `
+<!DOCTYPE html>
+<html>
+<head>
+<style>
+  body { font-family: 'Georgia', serif; background-color: #1a0a0a; color: #F5F5DC; padding: 20px; }
+  .container { max-width: 600px; margin: 0 auto; background-color: #2a1515; border: 1px solid #D4AF37; border-radius: 10px; overflow: hidden; }
+  .header { background-color: #1a0a0a; padding: 20px; text-align: center; border-bottom: 2px solid #D4AF37; }
+  .header h1 { color: #D4AF37; margin: 0; font-size: 24px; letter-spacing: 2px; }
+  .content { padding: 30px; line-height: 1.6; color: #F5F5DC; }
+  .otp { background-color: #D4AF37; color: #1a0a0a; font-size: 24px; font-weight: bold; padding: 10px 20px; border-radius: 5px; display: inline-block; margin: 20px 0; letter-spacing: 5px; }
+  .footer { background-color: #1a0a0a; padding: 15px; text-align: center; font-size: 12px; color: #888; border-top: 1px solid #333; }
+</style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>GTP CLUB CHESS</h1>
+    </div>
+    <div class="content">
+      <h2>${title}</h2>
+      ${bodyContent}
+    </div>
+    <div class="footer">
+      &copy; 2025 GTP Club Chess. All rights reserved.
+    </div>
+  </div>
+</body>
+</html>
+`;
+
+// Escape user or admin supplied text before putting it into an email
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const money = (amount) => `₹${parseFloat(amount).toFixed(2)}`;
+const suffix = (subject) => `${subject} - GTP Club Chess`;
+
+// Standard layout: title as the heading, greeting, then the body
+const email = (subject, title, data, body) => ({
+  subject,
+  html: getHtmlTemplate(title, `
+    <p>Dear ${escapeHtml(data.username)},</p>
+    ${body}
+  `)
+});
+
+const RESULT_TITLES = { won: 'You Won!', lost: 'Game Over', draw: 'Draw' };
+const RESULT_WORDS = { won: 'a win', lost: 'a loss', draw: 'a draw' };
+const REASON_WORDS = {
+  resign: 'resignation',
+  abandoned: 'abandonment',
+  draw: 'stalemate, repetition or insufficient material',
+  timeout_vs_insufficient_material: 'timeout against insufficient material'
+};
+
+const TEMPLATES = {
+  welcome: (data) => email('Welcome to GTP Club Chess', 'Welcome Aboard!', data, `
+    <p>Welcome to the most prestigious chess club. Your account has been successfully created.</p>
+    <p>Get ready to challenge grandmasters and climb the ranks.</p>
+    <p><em>Good luck and good game!</em></p>
+  `),
+
+  // data: { otp }
+  password_reset: (data) => email(suffix('Password Reset OTP'), 'Password Reset Request', data, `
+    <p>You requested a password reset. Use the One-Time Password (OTP) below to complete the process:</p>
+    <center><div class="otp">${escapeHtml(data.otp)}</div></center>
+    <p>This code is valid for 10 minutes. If you did not request this, please ignore this email.</p>
+  `),
+
+  // data: { ip, deviceId, at }
+  new_device_login: (data) => email(suffix('New Sign-in'), 'New Sign-in to Your Account', data, `
+    <p>Your account was just signed in to from a device we haven't seen before.</p>
+    <p>Time: <strong>${escapeHtml(new Date(data.at).toUTCString())}</strong><br>
+       IP address: <strong>${escapeHtml(data.ip || 'unknown')}</strong></p>
+    <p>If this was you, there's nothing to do. If not, reset your password right away; that also signs out every other session.</p>
+  `),
+
+  // data: { outcome: 'won' | 'lost' | 'draw', reason, opponent, gameMode, timeControl, entryFee, winnings, matchId }
+  match_result: (data) => {
+    const game = `${escapeHtml(data.gameMode)}${data.timeControl ? ` (${escapeHtml(data.timeControl)})` : ''}`;
+    const moneyLine = {
+      won: `<p>Winnings of <strong>${money(data.winnings)}</strong> plus your ${money(data.entryFee)} entry fee have been credited to your wallet.</p>`,
+      lost: `<p>Your entry fee of ${money(data.entryFee)} went to the winner. Better luck next time!</p>`,
+      draw: `<p>Your entry fee of ${money(data.entryFee)} has been refunded to your wallet.</p>`
+    }[data.outcome];
+    return email(suffix(`Match Result: ${RESULT_TITLES[data.outcome]}`), RESULT_TITLES[data.outcome], data, `
+      <p>Your ${game} game against <strong>${escapeHtml(data.opponent || 'your opponent')}</strong> has ended
+         in ${RESULT_WORDS[data.outcome]} (${escapeHtml(REASON_WORDS[data.reason] || data.reason)}).</p>
+      ${moneyLine}
+      <p>Match ID: ${escapeHtml(data.matchId)}</p>
+    `);
+  },
+
+  // data: { amount, orderId }
+  deposit_receipt: (data) => email(suffix('Deposit Received'), 'Deposit Received', data, `
+    <p><strong>${money(data.amount)}</strong> has been added to your wallet.</p>
+    <p>Order ID: ${escapeHtml(data.orderId)}</p>
+  `),
+
+  // data: { amount, destination, withdrawalId }
+  withdrawal_requested: (data) => email(suffix('Withdrawal Requested'), 'Withdrawal Requested', data, `
+    <p>We have received your request to withdraw <strong>${money(data.amount)}</strong> to ${escapeHtml(data.destination)}.</p>
+    <p>The amount is on hold while we review it; you will hear from us once it is sent.</p>
+    <p>Request ID: ${escapeHtml(data.withdrawalId)}</p>
+  `),
+
+  // data: { amount, reason }
+  withdrawal_rejected: (data) => email(suffix('Withdrawal Rejected'), 'Withdrawal Rejected', data, `
+    <p>Your withdrawal of ${money(data.amount)} could not be processed for the following reason:</p>
+    <p><strong>${escapeHtml(data.reason)}</strong></p>
+    <p>The amount has been returned to your wallet.</p>
+  `),
+
+  // data: { amount, payoutReference }
+  withdrawal_paid: (data) => email(suffix('Withdrawal Paid'), 'Withdrawal Paid', data, `
+    <p>Your withdrawal of ${money(data.amount)} has been sent.</p>
+    <p>Reference: <strong>${escapeHtml(data.payoutReference)}</strong></p>
+  `),
+
+  kyc_verified: (data) => email(suffix('KYC Approved'), 'KYC Verified', data, `
+    <p>Your identity documents have been reviewed and your account is now fully verified.</p>
+    <p><em>Good luck and good game!</em></p>
+  `),
+
+  // data: { reason }
+  kyc_rejected: (data) => email(suffix('KYC Rejected'), 'KYC Needs Attention', data, `
+    <p>We could not verify your identity documents for the following reason:</p>
+    <p><strong>${escapeHtml(data.reason)}</strong></p>
+    <p>Please submit your KYC again from the app with the corrected documents.</p>
+  `),
+
+  // To the ticket owner. data: { subject, message }
+  support_reply: (data) => email(suffix(`Re: ${data.subject}`), 'Support Update', data, `
+    <p>Your ticket <strong>${escapeHtml(data.subject)}</strong> has an update:</p>
+    <blockquote>${escapeHtml(data.message)}</blockquote>
+    <p>You can reply from the Support section of the app.</p>
+  `),
+
+  // To the assigned admin. data: { subject, author, message }
+  support_user_reply: (data) => email(suffix(`Re: ${data.subject}`), 'Support Update', data, `
+    <p>The ticket <strong>${escapeHtml(data.subject)}</strong> has an update:</p>
+    <p>${escapeHtml(data.author)} replied:</p>
+    <blockquote>${escapeHtml(data.message)}</blockquote>
+  `),
+
+  // data: { subject }
+  support_resolved: (data) => email(suffix(`Re: ${data.subject}`), 'Support Update', data, `
+    <p>Your ticket <strong>${escapeHtml(data.subject)}</strong> has been marked as <strong>resolved</strong>.
+       If the problem continues, just reply to reopen it.</p>
+  `)
+};
+
+const render = (template, data) => {
+  if (!TEMPLATES[template]) throw new Error(`Unknown email template ${template}`);
+  return TEMPLATES[template](data);
+};
+
+module.exports = {
+  TEMPLATES,
+  getHtmlTemplate,
+  escapeHtml,
+  render
+};
@@ -0,0 +1,77 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+require('dotenv').config();
+
+// Email transports. Each has send({ to, subject, html }), which throws if the message wasn't
+// accepted (the outbox then retries it). EMAIL_TRANSPORT picks one:
+//   smtp: nodemailer, via SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS or Gmail with EMAIL_USER/EMAIL_PASS
+//   console: logs each message as text (default when no SMTP credentials are configured)
+//   file: writes each message to EMAIL_FILE_DIR as an .html file, to look at rendered mail locally
+
+const EMAIL_FROM = process.env.EMAIL_FROM || `"GTP Club Chess" <${process.env.EMAIL_USER || 'no-reply@localhost'}>`;
+const EMAIL_FILE_DIR = process.env.EMAIL_FILE_DIR || 'mail';
+
+const hasSmtpCredentials = () => Boolean(process.env.SMTP_HOST)
+  || Boolean(process.env.EMAIL_USER && process.env.EMAIL_PASS && process.env.EMAIL_PASS !== 'YOUR_APP_PASSWORD_HERE');
+
+const toText = (html) => html
+  .replace(/<style[\s\S]*?<\/style>/gi, '')
+  .replace(/<[^>]+>/g, ' ')
+  .replace(/&nbsp;/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const smtp = () => {
+  const transporter = process.env.SMTP_HOST
+    ? nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_PORT === '465',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    })
+    : nodemailer.createTransport({
+      service: 'gmail',
+      auth: { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+    });
+  return {
+    name: 'smtp',
+    send: async ({ to, subject, html }) => {
+      await transporter.sendMail({ from: EMAIL_FROM, to, subject, html, text: toText(html) });
+    }
+  };
+};
+
+const consoleTransport = () => ({
+  name: 'console',
+  send: async ({ to, subject, html }) => {
+    console.log(`[Email] To: ${to}, Subject: ${subject}\n${toText(html)}`);
+  }
+});
+
+const file = () => ({
+  name: 'file',
+  send: async ({ to, subject, html }) => {
+    await fs.promises.mkdir(EMAIL_FILE_DIR, { recursive: true });
+    const name = `${new Date().toISOString().replace(/[:.]/g, '-')}-${String(to).replace(/[^\w.@-]/g, '_')}.html`;
+    await fs.promises.writeFile(path.join(EMAIL_FILE_DIR, name), `<!-- To: ${to}\n     Subject: ${subject} -->\n${html}`);
+  }
+});
+
+const TRANSPORTS = { smtp, console: consoleTransport, file };
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.EMAIL_TRANSPORT || (hasSmtpCredentials() ? 'smtp' : 'console');
+    if (!TRANSPORTS[name]) throw new Error(`Unknown email transport ${name}`);
+    transport = TRANSPORTS[name]();
+    console.log(`Email transport: ${transport.name}`);
+  }
+  return transport;
+};
+
+module.exports = {
+  getTransport
+};
@@ -0,0 +1,405 @@
+const { Worker, isMainThread, parentPort } = require('worker_threads');
+const { Chess } = require('chess.js');
+
+// Built-in computer opponent for practice games. A small alpha-beta search with a quiescence
+// search and a material + piece-square evaluation, on its own board representation because
+// chess.js move generation is far too slow to search with. The root moves come from chess.js,
+// so whatever it picks is legal. Searches run in a worker thread to keep the event loop free.
+//
+// Board: 120 characters, 10 per row with padding around the 8x8 (rank 8 at index 21..28, rank 1
+// at 91..98). The side to move is always uppercase and plays "up" the board; after every move
+// the board is rotated and the cases swapped. A king that can be captured means the previous
+// move was illegal, which is how the search finds mate and castling through check.
+
+const A1 = 91;
+const H1 = 98;
+const A8 = 21;
+const H8 = 28;
+const N = -10;
+const E = 1;
+const S = 10;
+const W = -1;
+
+const DIRECTIONS = {
+  P: [N, N + N, N + W, N + E],
+  N: [N + N + E, E + N + E, E + S + E, S + S + E, S + S + W, W + S + W, W + N + W, N + N + W],
+  B: [N + E, S + E, S + W, N + W],
+  R: [N, E, S, W],
+  Q: [N, E, S, W, N + E, S + E, S + W, N + W],
+  K: [N, E, S, W, N + E, S + E, S + W, N + W]
+};
+
+const PIECE_VALUES = { P: 100, N: 320, B: 330, R: 500, Q: 900, K: 20000 };
+
+// From the mover's side, rank 8 first
+const SQUARE_TABLES = {
+  P: [
+    0, 0, 0, 0, 0, 0, 0, 0,
+    50, 50, 50, 50, 50, 50, 50, 50,
+    10, 10, 20, 30, 30, 20, 10, 10,
+    5, 5, 10, 25, 25, 10, 5, 5,
+    0, 0, 0, 20, 20, 0, 0, 0,
+    5, -5, -10, 0, 0, -10, -5, 5,
+    5, 10, 10, -20, -20, 10, 10, 5,
+    0, 0, 0, 0, 0, 0, 0, 0
+  ],
+  N: [
+    -50, -40, -30, -30, -30, -30, -40, -50,
+    -40, -20, 0, 0, 0, 0, -20, -40,
+    -30, 0, 10, 15, 15, 10, 0, -30,
+    -30, 5, 15, 20, 20, 15, 5, -30,
+    -30, 0, 15, 20, 20, 15, 0, -30,
+    -30, 5, 10, 15, 15, 10, 5, -30,
+    -40, -20, 0, 5, 5, 0, -20, -40,
+    -50, -40, -30, -30, -30, -30, -40, -50
+  ],
+  B: [
+    -20, -10, -10, -10, -10, -10, -10, -20,
+    -10, 0, 0, 0, 0, 0, 0, -10,
+    -10, 0, 5, 10, 10, 5, 0, -10,
+    -10, 5, 5, 10, 10, 5, 5, -10,
+    -10, 0, 10, 10, 10, 10, 0, -10,
+    -10, 10, 10, 10, 10, 10, 10, -10,
+    -10, 5, 0, 0, 0, 0, 5, -10,
+    -20, -10, -10, -10, -10, -10, -10, -20
+  ],
+  R: [
+    0, 0, 0, 0, 0, 0, 0, 0,
+    5, 10, 10, 10, 10, 10, 10, 5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    -5, 0, 0, 0, 0, 0, 0, -5,
+    0, 0, 0, 5, 5, 0, 0, 0
+  ],
+  Q: [
+    -20, -10, -10, -5, -5, -10, -10, -20,
+    -10, 0, 0, 0, 0, 0, 0, -10,
+    -10, 0, 5, 5, 5, 5, 0, -10,
+    -5, 0, 5, 5, 5, 5, 0, -5,
+    0, 0, 5, 5, 5, 5, 0, -5,
+    -10, 5, 5, 5, 5, 5, 0, -10,
+    -10, 0, 5, 0, 0, 0, 0, -10,
+    -20, -10, -10, -5, -5, -10, -10, -20
+  ],
+  K: [
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -30, -40, -40, -50, -50, -40, -40, -30,
+    -20, -30, -30, -40, -40, -30, -30, -20,
+    -10, -20, -20, -20, -20, -20, -20, -10,
+    20, 20, 0, 0, 0, 0, 20, 20,
+    20, 30, 10, 0, 0, 10, 30, 20
+  ]
+};
+
+// Piece value plus square bonus, indexed by board square
+const PST = {};
+for (const [piece, table] of Object.entries(SQUARE_TABLES)) {
+  PST[piece] = new Array(120).fill(0);
+  for (let i = 0; i < 64; i++) PST[piece][A8 + Math.floor(i / 8) * 10 + (i % 8)] = PIECE_VALUES[piece] + table[i];
+}
+
+// Scores past MATE_LOWER mean a king is lost
+const MATE_LOWER = PIECE_VALUES.K - 10 * PIECE_VALUES.Q;
+const MATE_UPPER = PIECE_VALUES.K + 10 * PIECE_VALUES.Q;
+const QUIESCENCE_DEPTH = 6;
+
+// Strength levels: search depth, thinking time and random noise (centipawns) added to root scores
+const LEVELS = {
+  1: { name: 'Beginner', depth: 1, timeMs: 200, noise: 150 },
+  2: { name: 'Casual', depth: 2, timeMs: 400, noise: 60 },
+  3: { name: 'Club', depth: 3, timeMs: 800, noise: 20 },
+  4: { name: 'Expert', depth: 5, timeMs: 1500, noise: 0 }
+};
+const DEFAULT_LEVEL = 2;
+
+const isUpper = (c) => c >= 'A' && c <= 'Z';
+const isLower = (c) => c >= 'a' && c <= 'z';
+const swapCase = (c) => (isUpper(c) ? c.toLowerCase() : c.toUpperCase());
+const put = (board, i, piece) => board.slice(0, i) + piece + board.slice(i + 1);
+
+// wc: the mover's castling rights [queenside, kingside]; bc: the opponent's, seen from their side.
+// ep: en passant square; kp: square the opponent's king crossed while castling (capturing it there
+// counts as capturing the king).
+class Position {
+  constructor(board, score, wc, bc, ep, kp) {
+    this.board = board;
+    this.score = score;
+    this.wc = wc;
+    this.bc = bc;
+    this.ep = ep;
+    this.kp = kp;
+  }
+
+  // Pseudo-legal moves as [from, to]
+  genMoves() {
+    const moves = [];
+    const board = this.board;
+    for (let i = 0; i < 120; i++) {
+      const p = board[i];
+      if (!isUpper(p)) continue;
+      for (const d of DIRECTIONS[p]) {
+        for (let j = i + d; ; j += d) {
+          const q = board[j];
+          if (q === ' ' || q === '\n' || isUpper(q)) break;
+          if (p === 'P') {
+            if ((d === N || d === N + N) && q !== '.') break;
+            if (d === N + N && (i < A1 + N || board[i + N] !== '.')) break;
+            if ((d === N + W || d === N + E) && q === '.' && j !== this.ep && j !== this.kp && j !== this.kp - 1 && j !== this.kp + 1) break;
+          }
+          moves.push([i, j]);
+          if (p === 'P' || p === 'N' || p === 'K' || isLower(q)) break;
+          // Castling, found by sliding the rook up to the king
+          if (i === A1 && board[j + E] === 'K' && this.wc[0]) moves.push([j + E, j + W]);
+          if (i === H1 && board[j + W] === 'K' && this.wc[1]) moves.push([j + W, j + E]);
+        }
+      }
+    }
+    return moves;
+  }
+
+  rotate() {
+    let board = '';
+    for (let i = 119; i >= 0; i--) board += swapCase(this.board[i]);
+    return new Position(board, -this.score, this.bc, this.wc, this.ep ? 119 - this.ep : 0, this.kp ? 119 - this.kp : 0);
+  }
+
+  // The position after a move, from the opponent's side. Pawns always promote to a queen.
+  move([i, j]) {
+    const p = this.board[i];
+    let board = this.board;
+    let wc = this.wc;
+    let bc = this.bc;
+    let ep = 0;
+    let kp = 0;
+    const score = this.score + this.value([i, j]);
+    board = put(board, j, p);
+    board = put(board, i, '.');
+    if (i === A1) wc = [false, wc[1]];
+    if (i === H1) wc = [wc[0], false];
+    if (j === A8) bc = [bc[0], false];
+    if (j === H8) bc = [false, bc[1]];
+    if (p === 'K') {
+      wc = [false, false];
+      if (Math.abs(j - i) === 2) {
+        kp = (i + j) >> 1;
+        board = put(board, j < i ? A1 : H1, '.');
+        board = put(board, kp, 'R');
+      }
+    }
+    if (p === 'P') {
+      if (j >= A8 && j <= H8) board = put(board, j, 'Q');
+      if (j - i === 2 * N) ep = i + N;
+      if (j === this.ep) board = put(board, j + S, '.');
+    }
+    return new Position(board, score, wc, bc, ep, kp).rotate();
+  }
+
+  // Change in score (for the mover) made by a move
+  value([i, j]) {
+    const p = this.board[i];
+    const q = this.board[j];
+    let score = PST[p][j] - PST[p][i];
+    if (isLower(q)) score += PST[q.toUpperCase()][119 - j];
+    if (this.kp && Math.abs(j - this.kp) < 2) score += PST.K[119 - j];
+    if (p === 'K' && Math.abs(i - j) === 2) {
+      score += PST.R[(i + j) >> 1];
+      score -= PST.R[j < i ? A1 : H1];
+    }
+    if (p === 'P') {
+      if (j >= A8 && j <= H8) score += PST.Q[j] - PST.P[j];
+      if (j === this.ep) score += PST.P[119 - (j + S)];
+    }
+    return score;
+  }
+}
+
+// Board index of a square like 'e4', from white's side
+const squareIndex = (square) => A1 + (square.charCodeAt(0) - 97) - 10 * (parseInt(square[1], 10) - 1);
+
+const fromFen = (fen) => {
+  const [placement, turn, castling, epSquare] = fen.split(' ');
+  let board = '         \n         \n';
+  for (const row of placement.split('/')) {
+    board += ' ' + row.replace(/\d/g, n => '.'.repeat(parseInt(n, 10))) + '\n';
+  }
+  board += '         \n         \n';
+
+  let score = 0;
+  for (let i = 0; i < 120; i++) {
+    const c = board[i];
+    if (isUpper(c)) score += PST[c][i];
+    else if (isLower(c)) score -= PST[c.toUpperCase()][119 - i];
+  }
+  const wc = [castling.includes('Q'), castling.includes('K')];
+  const bc = [castling.includes('k'), castling.includes('q')];
+  const ep = epSquare && epSquare !== '-' ? squareIndex(epSquare) : 0;
+  const position = new Position(board, score, wc, bc, ep, 0);
+  return turn === 'w' ? position : position.rotate();
+};
+
+class SearchTimeout extends Error {}
+
+class Searcher {
+  constructor(deadline) {
+    this.deadline = deadline;
+    this.nodes = 0;
+  }
+
+  tick() {
+    this.nodes++;
+    if ((this.nodes & 1023) === 0 && Date.now() > this.deadline) throw new SearchTimeout();
+  }
+
+  // Captures only, until the position is quiet
+  quiesce(pos, alpha, beta, depth) {
+    this.tick();
+    if (pos.score <= -MATE_LOWER) return -MATE_UPPER;
+    let best = pos.score; // Standing pat
+    if (best >= beta || depth === 0) return best;
+    if (best > alpha) alpha = best;
+
+    const captures = pos.genMoves()
+      .filter(([, j]) => isLower(pos.board[j]) || (pos.kp && Math.abs(j - pos.kp) < 2))
+      .map(move => ({ move, value: pos.value(move) }))
+      .sort((a, b) => b.value - a.value);
+    for (const { move } of captures) {
+      const score = -this.quiesce(pos.move(move), -beta, -alpha, depth - 1);
+      if (score > best) best = score;
+      if (best > alpha) alpha = best;
+      if (alpha >= beta) break;
+    }
+    return best;
+  }
+
+  negamax(pos, depth, alpha, beta, ply) {
+    this.tick();
+    // Our king was captured: the previous move was illegal (or this is mate). Sooner is worse.
+    if (pos.score <= -MATE_LOWER) return -MATE_UPPER + ply;
+    if (depth <= 0) return this.quiesce(pos, alpha, beta, QUIESCENCE_DEPTH);
+
+    // Biggest gains first (captures, promotions), which makes the cut-offs come early
+    const moves = pos.genMoves()
+      .map(move => ({ move, value: pos.value(move) }))
+      .sort((a, b) => b.value - a.value);
+    let best = -MATE_UPPER;
+    for (const { move } of moves) {
+      const score = -this.negamax(pos.move(move), depth - 1, -beta, -alpha, ply + 1);
+      if (score > best) best = score;
+      if (best > alpha) alpha = best;
+      if (alpha >= beta) break;
+    }
+
+    // Every move loses the king: checkmate, or stalemate if we aren't in check now
+    if (best <= -MATE_LOWER && !inCheck(pos)) return 0;
+    return best;
+  }
+}
+
+const inCheck = (pos) => {
+  const opponent = pos.rotate();
+  return opponent.genMoves().some(move => opponent.value(move) >= MATE_LOWER);
+};
+
+// Pick a move for the side to move in `fen`. Returns { from, to, promotion } or null if there's
+// no legal move. maxTimeMs caps the level's thinking time (e.g. when the clock is short).
+const searchMove = (fen, level = DEFAULT_LEVEL, maxTimeMs = Infinity) => {
+  const settings = LEVELS[level] || LEVELS[DEFAULT_LEVEL];
+  const chess = new Chess(fen);
+  const black = chess.turn() === 'b';
+  // Underpromotions are left out; the search only knows queens
+  const legal = chess.moves({ verbose: true }).filter(m => !m.promotion || m.promotion === 'q');
+  if (legal.length === 0) return null;
+
+  const pos = fromFen(fen);
+  const toIndex = (square) => (black ? 119 - squareIndex(square) : squareIndex(square));
+  const candidates = legal.map(m => ({
+    move: { from: m.from, to: m.to, promotion: m.promotion || undefined },
+    child: pos.move([toIndex(m.from), toIndex(m.to)]),
+    score: 0
+  }));
+
+  // Iterative deepening: each finished depth replaces the scores; a timed-out depth is dropped
+  const searcher = new Searcher(Date.now() + Math.min(settings.timeMs, maxTimeMs));
+  for (let depth = 1; depth <= settings.depth; depth++) {
+    try {
+      const scores = candidates.map(c => -searcher.negamax(c.child, depth - 1, -MATE_UPPER, MATE_UPPER, 1));
+      candidates.forEach((c, i) => { c.score = scores[i]; });
+    } catch (e) {
+      if (!(e instanceof SearchTimeout)) throw e;
+      break;
+    }
+    if (candidates.some(c => c.score >= MATE_LOWER)) break; // Found a mate
+  }
+
+  // Noise makes weaker levels miss things; it never hides a mate
+  let best = null;
+  let bestScore = -Infinity;
+  for (const c of candidates) {
+    const noisy = Math.abs(c.score) >= MATE_LOWER ? c.score * 10 : c.score + (Math.random() * 2 - 1) * settings.noise;
+    if (noisy > bestScore) {
+      best = c;
+      bestScore = noisy;
+    }
+  }
+  return best.move;
+};
+
+// --- Worker ---
+// One worker per process, started on first use. Requests carry an id so replies can't get mixed up.
+if (!isMainThread) {
+  parentPort.on('message', ({ id, fen, level, maxTimeMs }) => {
+    try {
+      parentPort.postMessage({ id, move: searchMove(fen, level, maxTimeMs) });
+    } catch (e) {
+      parentPort.postMessage({ id, error: e.message });
+    }
+  });
+}
+
+let worker = null;
+let nextRequestId = 1;
+const pending = new Map(); // id -> { resolve, reject }
+
+const getWorker = () => {
+  if (worker) return worker;
+  const started = new Worker(__filename);
+  worker = started;
+  started.on('message', ({ id, move, error }) => {
+    const request = pending.get(id);
+    if (!request) return;
+    pending.delete(id);
+    if (pending.size === 0) started.unref();
+    if (error) request.reject(new Error(error));
+    else request.resolve(move);
+  });
+  // A crashed worker fails what it was working on; the next request starts a new one
+  const fail = (err) => {
+    if (worker !== started) return;
+    worker = null;
+    for (const request of pending.values()) request.reject(err);
+    pending.clear();
+  };
+  started.on('error', fail);
+  started.on('exit', (code) => fail(new Error(`Engine worker exited with code ${code}`)));
+  return started;
+};
+
+// Same as searchMove, off the main thread. Requests are answered one at a time, in order.
+const chooseMove = (fen, level = DEFAULT_LEVEL, maxTimeMs = Infinity) => new Promise((resolve, reject) => {
+  const id = nextRequestId++;
+  pending.set(id, { resolve, reject });
+  const current = getWorker();
+  current.ref(); // Only busy workers keep the process alive
+  current.postMessage({ id, fen, level, maxTimeMs });
+});
+
+module.exports = {
+  LEVELS,
+  DEFAULT_LEVEL,
+  searchMove,
+  chooseMove
+};
@@ -0,0 +1,247 @@
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('./db');
+const wallet = require('./wallet');
+const audit = require('./audit');
+require('dotenv').config();
+
+// Fair-play signals, checked after every finished game. Each hit is a row in fair_play_flags;
+// once an account's flag weight since its last review reaches FAIR_PLAY_REVIEW_SCORE it is
+// queued for an admin (fair_play_reviews), who can freeze its withdrawals.
+
+// Engine-like play: thinking times that barely vary over a whole game
+const MOVE_TIME_MIN_MOVES = 20; // Own moves counted (after the opening, outside time trouble)
+const MOVE_TIME_SKIP_MOVES = 5; // Opening moves are often instant
+const MOVE_TIME_LOW_CLOCK_MS = 20000; // Moves made with less left are ignored
+const MOVE_TIME_MAX_CV = 0.25; // Standard deviation / mean below this is suspicious
+
+// Beating much stronger players again and again
+const UPSET_RATING_GAP = 200;
+const UPSET_STREAK = 5;
+
+// The same two accounts meeting for money over and over (collusion, chip dumping)
+const PAIRING_WINDOW_DAYS = 7;
+const PAIRING_LIMIT = 5;
+
+const SIGNAL_WEIGHTS = { consistent_move_times: 1, upset_streak: 2, repeated_pairing: 2 };
+const FAIR_PLAY_REVIEW_SCORE = parseFloat(process.env.FAIR_PLAY_REVIEW_SCORE) || 3;
+const FLAG_WINDOW_DAYS = 30;
+const REVIEW_DECISIONS = ['cleared', 'confirmed'];
+
+class FairPlayError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'FairPlayError';
+  }
+}
+
+// Thinking-time statistics for one side of a game (moveLog entries from the Match)
+const moveTimeStats = (moveLog, color) => {
+  const times = moveLog
+    .filter(entry => entry.color === color)
+    .slice(MOVE_TIME_SKIP_MOVES)
+    .filter(entry => (color === 'white' ? entry.whiteMs : entry.blackMs) >= MOVE_TIME_LOW_CLOCK_MS)
+    .map(entry => entry.timeSpentMs);
+  if (times.length === 0) return { moves: 0, meanMs: 0, cv: null };
+
+  const mean = times.reduce((sum, t) => sum + t, 0) / times.length;
+  const variance = times.reduce((sum, t) => sum + (t - mean) ** 2, 0) / times.length;
+  return { moves: times.length, meanMs: Math.round(mean), cv: mean > 0 ? Math.sqrt(variance) / mean : 0 };
+};
+
+// Record a signal unless the same one (same user, signal and subject) was raised in the last day
+const recordFlag = async ({ userId, signal, subject = null, matchId = null, details }) => {
+  const res = await pool.query(`
+    INSERT INTO fair_play_flags (id, user_id, signal, weight, subject, match_id, details)
+    SELECT $1, $2, $3::text, $4, $5::text, $6, $7
+    WHERE NOT EXISTS (
+      SELECT 1 FROM fair_play_flags
+      WHERE user_id = $2 AND signal = $3::text AND subject IS NOT DISTINCT FROM $5::text AND created_at > NOW() - INTERVAL '1 day'
+    )
+  `, [uuidv4(), userId, signal, SIGNAL_WEIGHTS[signal], subject, matchId, JSON.stringify(details)]);
+  return res.rowCount > 0;
+};
+
+// Leading run of wins against opponents rated UPSET_RATING_GAP or more above the player
+const upsetStreak = async (userId) => {
+  const res = await pool.query(`
+    SELECT m.winner_id, mine.rating_before AS my_rating, opp.rating_before AS opponent_rating
+    FROM matches m
+    JOIN rating_history mine ON mine.match_id = m.id AND mine.user_id = $1 AND mine.game_mode IS NOT DISTINCT FROM m.game_mode
+    JOIN rating_history opp ON opp.match_id = m.id AND opp.user_id <> $1 AND opp.game_mode IS NOT DISTINCT FROM m.game_mode
+    WHERE m.ended_at IS NOT NULL
+    ORDER BY m.ended_at DESC
+    LIMIT $2
+  `, [userId, UPSET_STREAK]);
+
+  let streak = 0;
+  for (const row of res.rows) {
+    if (row.winner_id !== userId || row.opponent_rating - row.my_rating < UPSET_RATING_GAP) break;
+    streak++;
+  }
+  return streak;
+};
+
+// Paid games between the two accounts in the window, and how the money went
+const pairingHistory = async (userA, userB) => {
+  const res = await pool.query(`
+    SELECT COUNT(*)::int AS games,
+      COUNT(*) FILTER (WHERE winner_id = $1)::int AS a_wins,
+      COUNT(*) FILTER (WHERE winner_id = $2)::int AS b_wins
+    FROM matches
+    WHERE entry_fee > 0 AND ended_at > NOW() - make_interval(days => $3)
+      AND ((white_player_id = $1 AND black_player_id = $2) OR (white_player_id = $2 AND black_player_id = $1))
+  `, [userA, userB, PAIRING_WINDOW_DAYS]);
+  return res.rows[0];
+};
+
+// Queue the account for review if its flags since the last review add up
+const updateReview = async (userId) => {
+  const res = await pool.query(`
+    SELECT COALESCE(SUM(f.weight), 0) AS score, COUNT(*)::int AS flags
+    FROM fair_play_flags f
+    LEFT JOIN fair_play_reviews r ON r.user_id = f.user_id
+    WHERE f.user_id = $1 AND f.created_at > NOW() - make_interval(days => $2)
+      AND (r.reviewed_at IS NULL OR f.created_at > r.reviewed_at)
+  `, [userId, FLAG_WINDOW_DAYS]);
+  const score = parseFloat(res.rows[0].score);
+  if (score < FAIR_PLAY_REVIEW_SCORE) return false;
+
+  const opened = await pool.query(`
+    INSERT INTO fair_play_reviews (user_id, status, score, opened_at)
+    VALUES ($1, 'pending', $2, NOW())
+    ON CONFLICT (user_id) DO UPDATE SET status = 'pending', score = $2, opened_at = NOW(), decision_notes = NULL
+      WHERE fair_play_reviews.status <> 'pending'
+  `, [userId, score]);
+  // Already pending: just keep its score current
+  if (opened.rowCount === 0) await pool.query("UPDATE fair_play_reviews SET score = $1 WHERE user_id = $2 AND status = 'pending'", [score, userId]);
+  return opened.rowCount > 0;
+};
+
+// Run every check for a finished game. match: the in-memory Match. Returns the user ids newly
+// queued for review.
+const checkMatch = async (match) => {
+  const userIds = [match.whiteDbId, match.blackDbId];
+  if (!userIds.every(Boolean) || !match.result || match.result.reason === 'aborted') return [];
+  const flagged = new Set();
+
+  for (const color of ['white', 'black']) {
+    const userId = match.userIdOf(color);
+    const stats = moveTimeStats(match.moveLog, color);
+    if (stats.moves >= MOVE_TIME_MIN_MOVES && stats.cv < MOVE_TIME_MAX_CV) {
+      const details = { moves: stats.moves, meanMs: stats.meanMs, cv: Math.round(stats.cv * 1000) / 1000 };
+      if (await recordFlag({ userId, signal: 'consistent_move_times', subject: match.matchId, matchId: match.matchId, details })) flagged.add(userId);
+    }
+  }
+
+  const winner = match.result.winner;
+  if (winner === 'white' || winner === 'black') {
+    const userId = match.userIdOf(winner);
+    const streak = await upsetStreak(userId);
+    if (streak >= UPSET_STREAK) {
+      const details = { streak, ratingGap: UPSET_RATING_GAP };
+      if (await recordFlag({ userId, signal: 'upset_streak', matchId: match.matchId, details })) flagged.add(userId);
+    }
+  }
+
+  if (match.entryFee > 0) {
+    const history = await pairingHistory(match.whiteDbId, match.blackDbId);
+    if (history.games >= PAIRING_LIMIT) {
+      for (const [userId, opponentId, wins, losses] of [
+        [match.whiteDbId, match.blackDbId, history.a_wins, history.b_wins],
+        [match.blackDbId, match.whiteDbId, history.b_wins, history.a_wins]
+      ]) {
+        const details = { opponentId, games: history.games, wins, losses, days: PAIRING_WINDOW_DAYS };
+        if (await recordFlag({ userId, signal: 'repeated_pairing', subject: opponentId, matchId: match.matchId, details })) flagged.add(userId);
+      }
+    }
+  }
+
+  const queued = [];
+  for (const userId of flagged) {
+    if (await updateReview(userId)) queued.push(userId);
+  }
+  return queued;
+};
+
+// --- Admin ---
+
+const listReviews = async (status = 'pending') => {
+  const res = await pool.query(`
+    SELECT r.*, u.username, u.withdrawals_frozen,
+      (SELECT COUNT(*)::int FROM fair_play_flags f WHERE f.user_id = r.user_id) AS total_flags
+    FROM fair_play_reviews r
+    JOIN users u ON u.id = r.user_id
+    WHERE r.status = $1
+    ORDER BY r.score DESC, r.opened_at ASC
+  `, [status]);
+  return res.rows;
+};
+
+// Everything an admin needs to judge an account
+const getAccountReport = async (userId) => {
+  const userRes = await pool.query(
+    'SELECT id, username, email, rating, wins, losses, draws, wallet_balance, withdrawals_frozen, withdrawals_frozen_reason, created_at FROM users WHERE id = $1',
+    [userId]
+  );
+  if (!userRes.rows[0]) return null;
+
+  const [reviewRes, flagsRes, opponentsRes] = await Promise.all([
+    pool.query('SELECT * FROM fair_play_reviews WHERE user_id = $1', [userId]),
+    pool.query('SELECT * FROM fair_play_flags WHERE user_id = $1 ORDER BY created_at DESC LIMIT 100', [userId]),
+    // Most frequent paid opponents, with the net result against each
+    pool.query(`
+      SELECT CASE WHEN white_player_id = $1 THEN black_player_id ELSE white_player_id END AS opponent_id,
+        COUNT(*)::int AS games,
+        COUNT(*) FILTER (WHERE winner_id = $1)::int AS wins,
+        COUNT(*) FILTER (WHERE winner_id IS NOT NULL AND winner_id <> $1)::int AS losses
+      FROM matches
+      WHERE (white_player_id = $1 OR black_player_id = $1) AND entry_fee > 0 AND ended_at IS NOT NULL
+      GROUP BY 1
+      ORDER BY games DESC
+      LIMIT 10
+    `, [userId])
+  ]);
+
+  return {
+    user: userRes.rows[0],
+    review: reviewRes.rows[0] || null,
+    flags: flagsRes.rows,
+    frequentOpponents: opponentsRes.rows
+  };
+};
+
+const setWithdrawalsFrozen = (adminId, userId, frozen, reason = null) => wallet.withTransaction(async (client) => {
+  const res = await client.query(
+    'UPDATE users SET withdrawals_frozen = $1, withdrawals_frozen_reason = $2 WHERE id = $3',
+    [frozen, frozen ? reason : null, userId]
+  );
+  if (res.rowCount === 0) throw new FairPlayError('User not found');
+  await audit.logAdminAction({
+    adminId, action: frozen ? 'fair_play.freeze' : 'fair_play.unfreeze', targetType: 'user', targetId: userId, details: reason ? { reason } : null
+  }, client);
+});
+
+// Close a pending review. Later flags count from here.
+const decideReview = (adminId, userId, decision, notes = null) => wallet.withTransaction(async (client) => {
+  if (!REVIEW_DECISIONS.includes(decision)) throw new FairPlayError('Decision must be cleared or confirmed');
+  const res = await client.query(`
+    UPDATE fair_play_reviews SET status = $1, decision_notes = $2, reviewed_by = $3, reviewed_at = NOW()
+    WHERE user_id = $4 AND status = 'pending'
+    RETURNING *
+  `, [decision, notes, adminId, userId]);
+  if (res.rowCount === 0) throw new FairPlayError('No pending review for this user');
+  await audit.logAdminAction({
+    adminId, action: `fair_play.${decision === 'cleared' ? 'clear' : 'confirm'}`, targetType: 'user', targetId: userId, details: notes ? { notes } : null
+  }, client);
+  return res.rows[0];
+});
+
+module.exports = {
+  FairPlayError,
+  moveTimeStats,
+  checkMatch,
+  listReviews,
+  getAccountReport,
+  setWithdrawalsFrozen,
+  decideReview
+};
@@ -0,0 +1,263 @@
+const { v4: uuidv4 } = require('uuid');
+const { redis } = require('./db');
+require('dotenv').config();
+
+// Live game state shared by every server instance. Each active match is owned by one
+// instance (a lease in Redis); the others forward commands for it to the owner.
+const INSTANCE_ID = process.env.INSTANCE_ID || uuidv4();
+
+const LEASE_TTL_MS = 30000; // An owner that stops renewing loses its matches after this
+const PRESENCE_TTL_MS = 60000;
+
+// Redis keys
+const matchKey = (matchId) => `match:${matchId}`;
+const ownerKey = (matchId) => `match:${matchId}:owner`;
+const ACTIVE_MATCHES = 'matches:active';
+const activeMatchKey = (userId) => `active_match:${userId}`;
+const queueKey = (name) => `queue:${name}`;
+const QUEUE_NAMES = 'queues';
+const presenceKey = (userId) => `presence:${userId}`;
+const lastOpponentKey = (userId) => `last_opponent:${userId}`;
+const waitsKey = (name) => `queue_waits:${name}`;
+const lockKey = (name) => `lock:${name}`;
+const spectatorsKey = (matchId) => `match:${matchId}:spectators`;
+const challengeKey = (challengeId) => `challenge:${challengeId}`;
+const inviteKey = (code) => `invite:${code}`;
+
+// Only touch keys whose value is still ours
+const RENEW_IF_OWNER = `
+  local lost = {}
+  for i, key in ipairs(KEYS) do
+    if redis.call('GET', key) == ARGV[1] then
+      redis.call('PEXPIRE', key, ARGV[2])
+    else
+      table.insert(lost, i)
+    end
+  end
+  return lost
+`;
+const DELETE_IF_EQUALS = `
+  if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('DEL', KEYS[1])
+  end
+  return 0
+`;
+
+const parse = (json) => (json ? JSON.parse(json) : null);
+
+// --- Matches ---
+const saveMatch = async (snapshot) => {
+  await redis.multi()
+    .set(matchKey(snapshot.matchId), JSON.stringify(snapshot))
+    .sadd(ACTIVE_MATCHES, snapshot.matchId)
+    .exec();
+};
+
+const loadMatch = async (matchId) => parse(await redis.get(matchKey(matchId)));
+
+const loadMatches = async (matchIds) => {
+  if (matchIds.length === 0) return [];
+  return (await redis.mget(...matchIds.map(matchKey))).map(parse).filter(Boolean);
+};
+
+const listActiveMatchIds = () => redis.smembers(ACTIVE_MATCHES);
+
+// Forget a finished match, its lease and its players' active-match pointers
+const removeMatch = async (matchId, userIds = []) => {
+  const tx = redis.multi()
+    .del(matchKey(matchId), ownerKey(matchId), spectatorsKey(matchId))
+    .srem(ACTIVE_MATCHES, matchId);
+  for (const userId of userIds.filter(Boolean)) tx.eval(DELETE_IF_EQUALS, 1, activeMatchKey(userId), matchId);
+  await tx.exec();
+};
+
+// Clear the players' active-match pointers but keep the snapshot (a finished match still waiting on its payout)
+const releasePlayers = async (matchId, userIds) => {
+  const tx = redis.multi();
+  for (const userId of userIds.filter(Boolean)) tx.eval(DELETE_IF_EQUALS, 1, activeMatchKey(userId), matchId);
+  await tx.exec();
+};
+
+// True if this instance now owns the match (or already did)
+const claimMatch = async (matchId) => {
+  const res = await redis.set(ownerKey(matchId), INSTANCE_ID, 'PX', LEASE_TTL_MS, 'NX');
+  if (res === 'OK') return true;
+  return (await redis.get(ownerKey(matchId))) === INSTANCE_ID;
+};
+
+const getOwner = (matchId) => redis.get(ownerKey(matchId));
+
+// Extend our leases. Returns the ids of matches we no longer own.
+const renewLeases = async (matchIds) => {
+  if (matchIds.length === 0) return [];
+  const lost = await redis.eval(RENEW_IF_OWNER, matchIds.length, ...matchIds.map(ownerKey), INSTANCE_ID, LEASE_TTL_MS);
+  return lost.map(i => matchIds[i - 1]);
+};
+
+const setActiveMatch = (userId, matchId) => redis.set(activeMatchKey(userId), matchId);
+const getActiveMatch = (userId) => redis.get(activeMatchKey(userId));
+
+// --- Spectators ---
+// Socket ids watching each match, across instances (for counts only; events go through rooms)
+const addSpectator = (matchId, socketId) => redis.sadd(spectatorsKey(matchId), socketId);
+const removeSpectator = (matchId, socketId) => redis.srem(spectatorsKey(matchId), socketId);
+
+// { matchId: count }
+const countSpectators = async (matchIds) => {
+  const tx = redis.multi();
+  for (const matchId of matchIds) tx.scard(spectatorsKey(matchId));
+  const results = await tx.exec();
+  return Object.fromEntries(matchIds.map((id, i) => [id, results[i][1]]));
+};
+
+// --- Challenges ---
+// Stored with a TTL so they disappear on their own even if nobody is around to expire them
+const saveChallenge = async (challenge, ttlMs) => {
+  const tx = redis.multi().set(challengeKey(challenge.challengeId), JSON.stringify(challenge), 'PX', ttlMs);
+  if (challenge.inviteCode) tx.set(inviteKey(challenge.inviteCode), challenge.challengeId, 'PX', ttlMs);
+  await tx.exec();
+};
+
+const getChallenge = async (challengeId) => parse(await redis.get(challengeKey(challengeId)));
+
+const getChallengeByCode = async (code) => {
+  const challengeId = await redis.get(inviteKey(code));
+  return challengeId ? getChallenge(challengeId) : null;
+};
+
+// Atomically remove a challenge. Only one accept/decline/cancel/expiry gets it; the rest get null.
+const takeChallenge = async (challengeId) => {
+  const challenge = parse(await redis.getdel(challengeKey(challengeId)));
+  if (challenge && challenge.inviteCode) await redis.del(inviteKey(challenge.inviteCode));
+  return challenge;
+};
+
+// --- Queues ---
+// Each queue is a hash of userId -> { userId, username, entryFee, rating, queuedAt }
+const enqueue = async (name, entry) => {
+  await redis.multi()
+    .hset(queueKey(name), entry.userId, JSON.stringify(entry))
+    .sadd(QUEUE_NAMES, name)
+    .exec();
+};
+
+const removeFromQueue = (name, userId) => redis.hdel(queueKey(name), userId);
+
+// Take a user out of every queue. Returns the names they were removed from.
+const dequeue = async (userId) => {
+  const names = await redis.smembers(QUEUE_NAMES);
+  const removed = [];
+  for (const name of names) {
+    if (await redis.hdel(queueKey(name), userId)) removed.push(name);
+  }
+  return removed;
+};
+
+// Oldest entry first
+const getQueue = async (name) => {
+  const entries = Object.values(await redis.hgetall(queueKey(name))).map(parse);
+  return entries.sort((a, b) => a.queuedAt - b.queuedAt);
+};
+
+const getQueueNames = () => redis.smembers(QUEUE_NAMES);
+
+const getQueueSizes = async () => {
+  const names = await redis.smembers(QUEUE_NAMES);
+  const sizes = {};
+  for (const name of names) sizes[name] = await redis.hlen(queueKey(name));
+  return sizes;
+};
+
+// Wait times of the last 20 pairings, for estimates
+const recordWait = async (name, waitedMs) => {
+  await redis.multi()
+    .lpush(waitsKey(name), waitedMs)
+    .ltrim(waitsKey(name), 0, 19)
+    .exec();
+};
+
+const getRecentWaits = async (name) => (await redis.lrange(waitsKey(name), 0, -1)).map(Number);
+
+const setLastOpponent = (userId, opponentId, ttlMs) => redis.set(lastOpponentKey(userId), opponentId, 'PX', ttlMs);
+
+// { userId: opponentId } for users with a recent opponent
+const getLastOpponents = async (userIds) => {
+  if (userIds.length === 0) return {};
+  const values = await redis.mget(...userIds.map(lastOpponentKey));
+  return Object.fromEntries(userIds.map((id, i) => [id, values[i]]).filter(([, v]) => v));
+};
+
+// Run fn only if no other instance holds the named lock; returns false if it was skipped
+const withLock = async (name, ttlMs, fn) => {
+  const token = uuidv4();
+  const res = await redis.set(lockKey(name), token, 'PX', ttlMs, 'NX');
+  if (res !== 'OK') return false;
+  try {
+    await fn();
+  } finally {
+    await redis.eval(DELETE_IF_EQUALS, 1, lockKey(name), token);
+  }
+  return true;
+};
+
+// --- Presence ---
+// Which socket (on which instance) a user is connected through
+const presenceValue = (socketId) => JSON.stringify({ socketId, instanceId: INSTANCE_ID });
+
+const setPresence = (userId, socketId) => redis.set(presenceKey(userId), presenceValue(socketId), 'PX', PRESENCE_TTL_MS);
+
+const getPresence = async (userId) => parse(await redis.get(presenceKey(userId)));
+
+const getPresences = async (userIds) => {
+  if (userIds.length === 0) return [];
+  return (await redis.mget(...userIds.map(presenceKey))).map(parse);
+};
+
+// Only clears the entry if it still points at this socket. Returns true if it did.
+const clearPresence = async (userId, socketId) => (await redis.eval(DELETE_IF_EQUALS, 1, presenceKey(userId), presenceValue(socketId))) === 1;
+
+const refreshPresence = async (userIds) => {
+  if (userIds.length === 0) return;
+  const tx = redis.multi();
+  for (const userId of userIds) tx.pexpire(presenceKey(userId), PRESENCE_TTL_MS);
+  await tx.exec();
+};
+
+module.exports = {
+  INSTANCE_ID,
+  LEASE_TTL_MS,
+  saveMatch,
+  loadMatch,
+  loadMatches,
+  listActiveMatchIds,
+  removeMatch,
+  releasePlayers,
+  claimMatch,
+  getOwner,
+  renewLeases,
+  setActiveMatch,
+  getActiveMatch,
+  addSpectator,
+  removeSpectator,
+  countSpectators,
+  saveChallenge,
+  getChallenge,
+  getChallengeByCode,
+  takeChallenge,
+  enqueue,
+  removeFromQueue,
+  dequeue,
+  getQueue,
+  getQueueNames,
+  getQueueSizes,
+  recordWait,
+  getRecentWaits,
+  setLastOpponent,
+  getLastOpponents,
+  withLock,
+  setPresence,
+  getPresence,
+  getPresences,
+  clearPresence,
+  refreshPresence
+};
@@ -0,0 +1,102 @@
+// Glicko-2 rating system (Glickman, "Example of the Glicko-2 system").
+// Every game is treated as its own rating period.
+
+const SCALE = 173.7178;
+const TAU = 0.5; // Constrains volatility change per period
+const EPSILON = 0.000001;
+
+const DEFAULT_RATING = 1200;
+const DEFAULT_DEVIATION = 350;
+const DEFAULT_VOLATILITY = 0.06;
+const MIN_DEVIATION = 30;
+const MAX_DEVIATION = 350;
+
+// Ratings with a deviation above this are shown as provisional
+const PROVISIONAL_DEVIATION = 110;
+
+const g = (phi) => 1 / Math.sqrt(1 + (3 * phi * phi) / (Math.PI * Math.PI));
+const expectedScore = (mu, muJ, phiJ) => 1 / (1 + Math.exp(-g(phiJ) * (mu - muJ)));
+
+// Iteratively solve for the new volatility (Illinois algorithm, step 5 of the paper)
+const computeVolatility = (phi, sigma, delta, v) => {
+  const a = Math.log(sigma * sigma);
+  const f = (x) => {
+    const ex = Math.exp(x);
+    const d = phi * phi + v + ex;
+    return (ex * (delta * delta - phi * phi - v - ex)) / (2 * d * d) - (x - a) / (TAU * TAU);
+  };
+
+  let A = a;
+  let B;
+  if (delta * delta > phi * phi + v) {
+    B = Math.log(delta * delta - phi * phi - v);
+  } else {
+    let k = 1;
+    while (f(a - k * TAU) < 0) k++;
+    B = a - k * TAU;
+  }
+
+  let fA = f(A);
+  let fB = f(B);
+  while (Math.abs(B - A) > EPSILON) {
+    const C = A + ((A - B) * fA) / (fB - fA);
+    const fC = f(C);
+    if (fC * fB <= 0) {
+      A = B;
+      fA = fB;
+    } else {
+      fA = fA / 2;
+    }
+    B = C;
+    fB = fC;
+  }
+  return Math.exp(A / 2);
+};
+
+// player: { rating, deviation, volatility }
+// results: [{ opponent: { rating, deviation }, score: 1 | 0.5 | 0 }]
+// Returns the player's new { rating, deviation, volatility }.
+const rate = (player, results) => {
+  const mu = (player.rating - 1500) / SCALE;
+  const phi = player.deviation / SCALE;
+  const sigma = player.volatility;
+
+  if (results.length === 0) {
+    // No games: only the deviation grows
+    const phiStar = Math.sqrt(phi * phi + sigma * sigma);
+    return { rating: player.rating, deviation: Math.min(MAX_DEVIATION, phiStar * SCALE), volatility: sigma };
+  }
+
+  let vInv = 0;
+  let deltaSum = 0;
+  for (const { opponent, score } of results) {
+    const muJ = (opponent.rating - 1500) / SCALE;
+    const phiJ = opponent.deviation / SCALE;
+    const E = expectedScore(mu, muJ, phiJ);
+    vInv += g(phiJ) * g(phiJ) * E * (1 - E);
+    deltaSum += g(phiJ) * (score - E);
+  }
+  const v = 1 / vInv;
+  const delta = v * deltaSum;
+
+  const newSigma = computeVolatility(phi, sigma, delta, v);
+  const phiStar = Math.sqrt(phi * phi + newSigma * newSigma);
+  const newPhi = 1 / Math.sqrt(1 / (phiStar * phiStar) + 1 / v);
+  const newMu = mu + newPhi * newPhi * deltaSum;
+
+  return {
+    rating: newMu * SCALE + 1500,
+    deviation: Math.min(MAX_DEVIATION, Math.max(MIN_DEVIATION, newPhi * SCALE)),
+    volatility: newSigma
+  };
+};
+
+const isProvisional = (deviation) => deviation > PROVISIONAL_DEVIATION;
+
+module.exports = {
+  DEFAULT_RATING,
+  DEFAULT_DEVIATION,
+  DEFAULT_VOLATILITY,
+  rate,
+  isProvisional
+};
@@ -0,0 +1,210 @@
+const { pool, redis } = require('./db');
+const wallet = require('./wallet');
+
+// Leaderboards are Redis sorted sets (member = userId), kept up to date after every game
+// and rebuilt from Postgres when missing (e.g. after a Redis flush).
+//   rating / wins: all-time, score = current rating / win count
+//   winnings: per ISO week and per calendar month (UTC), score = paise won
+// Each board exists overall ('all') and per game mode.
+const METRICS = ['rating', 'wins', 'winnings'];
+const PERIODS = ['weekly', 'monthly'];
+const OVERALL = 'all';
+
+const BUILT_KEY = 'lb:built'; // Set once a rebuild has completed
+const PERIOD_TTL_SECONDS = { weekly: 15 * 24 * 3600, monthly: 63 * 24 * 3600 }; // Keep the previous period around
+const ZADD_CHUNK = 500;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Monday 00:00 UTC of the week containing date
+const weekStart = (date) => {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+  return start;
+};
+
+const periodStart = (period, date = new Date()) => (period === 'weekly'
+  ? weekStart(date)
+  : new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)));
+
+// 'YYYY-Www' (ISO week) or 'YYYY-MM'
+const periodKey = (period, date = new Date()) => {
+  if (period === 'monthly') return `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}`;
+  const thursday = weekStart(date);
+  thursday.setUTCDate(thursday.getUTCDate() + 3); // The ISO year is the one holding the week's Thursday
+  const firstThursday = weekStart(new Date(Date.UTC(thursday.getUTCFullYear(), 0, 4)));
+  firstThursday.setUTCDate(firstThursday.getUTCDate() + 3);
+  const week = 1 + Math.round((thursday - firstThursday) / (7 * 24 * 3600 * 1000));
+  return `${thursday.getUTCFullYear()}-W${pad(week)}`;
+};
+
+const boardKey = (metric, scope, period = null, date = new Date()) => (metric === 'winnings'
+  ? `lb:winnings:${scope}:${periodKey(period, date)}`
+  : `lb:${metric}:${scope}`);
+
+// --- Updates ---
+
+// Refresh rating and wins for these players (overall and in gameMode) from Postgres,
+// so the boards always agree with what a rebuild would produce
+const updatePlayers = async (userIds, gameMode) => {
+  const ids = userIds.filter(Boolean);
+  if (ids.length === 0) return;
+  const overallRes = await pool.query('SELECT id, rating, wins FROM users WHERE id = ANY($1)', [ids]);
+  const modeRes = await pool.query('SELECT user_id AS id, rating, wins FROM user_mode_stats WHERE user_id = ANY($1) AND game_mode = $2', [ids, gameMode]);
+
+  const tx = redis.multi();
+  for (const [scope, rows] of [[OVERALL, overallRes.rows], [gameMode, modeRes.rows]]) {
+    for (const row of rows) {
+      tx.zadd(boardKey('rating', scope), row.rating, row.id);
+      tx.zadd(boardKey('wins', scope), row.wins, row.id);
+    }
+  }
+  await tx.exec();
+};
+
+// amount in rupees (net of the player's own entry fee)
+const addWinnings = async (userId, amount, gameMode, date = new Date()) => {
+  const cents = wallet.toCents(amount);
+  if (!userId || !(cents > 0)) return;
+
+  const tx = redis.multi();
+  for (const scope of [OVERALL, gameMode]) {
+    for (const period of PERIODS) {
+      const key = boardKey('winnings', scope, period, date);
+      tx.zincrby(key, cents, userId);
+      tx.expire(key, PERIOD_TTL_SECONDS[period]);
+    }
+  }
+  await tx.exec();
+};
+
+// --- Reads ---
+
+const scoreValue = (metric, score) => (metric === 'winnings' ? wallet.fromCents(Number(score)) : Number(score));
+
+// page is 1-based. Returns { entries: [{ rank, userId, username, score }], total }.
+const getPage = async ({ metric, scope = OVERALL, period = null, page = 1, limit = 50 }) => {
+  const key = boardKey(metric, scope, period);
+  const start = (page - 1) * limit;
+  const [raw, total] = await Promise.all([
+    redis.zrevrange(key, start, start + limit - 1, 'WITHSCORES'),
+    redis.zcard(key)
+  ]);
+
+  const rows = [];
+  for (let i = 0; i < raw.length; i += 2) rows.push({ userId: raw[i], score: raw[i + 1] });
+  const usersRes = rows.length > 0
+    ? await pool.query('SELECT id, username FROM users WHERE id = ANY($1)', [rows.map(r => r.userId)])
+    : { rows: [] };
+  const usernames = Object.fromEntries(usersRes.rows.map(u => [u.id, u.username]));
+
+  return {
+    total,
+    entries: rows.map((row, i) => ({
+      rank: start + i + 1,
+      userId: row.userId,
+      username: usernames[row.userId] || null,
+      score: scoreValue(metric, row.score)
+    }))
+  };
+};
+
+// { rank, score, total }; rank and score are null if the user isn't on the board
+const getRank = async (userId, { metric, scope = OVERALL, period = null }) => {
+  const key = boardKey(metric, scope, period);
+  const [rank, score, total] = await Promise.all([
+    redis.zrevrank(key, userId),
+    redis.zscore(key, userId),
+    redis.zcard(key)
+  ]);
+  return {
+    rank: rank === null ? null : rank + 1,
+    score: score === null ? null : scoreValue(metric, score),
+    total
+  };
+};
+
+// --- Rebuild from Postgres ---
+
+// Replace a board in one step (write a temp key, then rename over the live one)
+const replaceBoard = async (key, entries, ttlSeconds = null) => {
+  if (entries.length === 0) {
+    await redis.del(key);
+    return;
+  }
+  const tmp = `${key}:rebuild`;
+  const tx = redis.multi().del(tmp);
+  for (let i = 0; i < entries.length; i += ZADD_CHUNK) {
+    tx.zadd(tmp, ...entries.slice(i, i + ZADD_CHUNK).flatMap(e => [e.score, e.userId]));
+  }
+  tx.rename(tmp, key);
+  if (ttlSeconds) tx.expire(key, ttlSeconds);
+  await tx.exec();
+};
+
+// Group rows { scope, userId, score } into one entry list per scope
+const byScope = (rows, scopes) => {
+  const boards = Object.fromEntries(scopes.map(scope => [scope, []]));
+  for (const row of rows) (boards[row.scope] = boards[row.scope] || []).push(row);
+  return boards;
+};
+
+// gameModes: every mode that should have boards (so emptied ones are cleared too)
+const rebuild = async (gameModes) => {
+  const scopes = [OVERALL, ...gameModes];
+
+  const statsRes = await pool.query(`
+    SELECT $1::text AS scope, id AS user_id, rating, wins FROM users WHERE wins + losses + draws > 0
+    UNION ALL
+    SELECT game_mode, user_id, rating, wins FROM user_mode_stats WHERE wins + losses + draws > 0
+  `, [OVERALL]);
+  for (const metric of ['rating', 'wins']) {
+    const boards = byScope(statsRes.rows.map(r => ({ scope: r.scope, userId: r.user_id, score: r[metric] })), scopes);
+    for (const [scope, entries] of Object.entries(boards)) await replaceBoard(boardKey(metric, scope), entries);
+  }
+
+  // Match winnings are the payout minus the winner's own entry fee; tournament prizes count in full
+  const now = new Date();
+  for (const period of PERIODS) {
+    const winningsRes = await pool.query(`
+      SELECT t.user_id, COALESCE(m.game_mode, tr.time_control) AS game_mode, SUM(t.amount - COALESCE(m.entry_fee, 0)) AS amount
+      FROM transactions t
+      LEFT JOIN matches m ON m.id::text = t.reference_id
+      LEFT JOIN tournaments tr ON tr.id::text = t.reference_id
+      WHERE t.type = 'winnings' AND t.status = 'completed' AND t.created_at >= $1
+      GROUP BY t.user_id, COALESCE(m.game_mode, tr.time_control)
+    `, [periodStart(period, now)]);
+
+    const totals = {};
+    for (const row of winningsRes.rows) {
+      const cents = wallet.toCents(row.amount);
+      if (!(cents > 0)) continue;
+      for (const scope of [OVERALL, row.game_mode].filter(Boolean)) {
+        const id = `${scope}:${row.user_id}`;
+        totals[id] = totals[id] || { scope, userId: row.user_id, score: 0 };
+        totals[id].score += cents;
+      }
+    }
+    const boards = byScope(Object.values(totals), scopes);
+    for (const [scope, entries] of Object.entries(boards)) {
+      await replaceBoard(boardKey('winnings', scope, period, now), entries, PERIOD_TTL_SECONDS[period]);
+    }
+  }
+
+  await redis.set(BUILT_KEY, now.toISOString());
+};
+
+const isBuilt = async () => (await redis.exists(BUILT_KEY)) === 1;
+
+module.exports = {
+  METRICS,
+  PERIODS,
+  OVERALL,
+  periodKey,
+  updatePlayers,
+  addWinnings,
+  getPage,
+  getRank,
+  rebuild,
+  isBuilt
+};
@@ -0,0 +1,80 @@
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('./db');
+const { TEMPLATES, render } = require('./emailTemplates');
+const { getTransport } = require('./emailTransports');
+
+// Email outbox. notify() only writes a notification_outbox row (inside the caller's DB
+// transaction when given its client), and processOutbox() sends whatever is due, retrying
+// failures with backoff. A slow or failing mail server never holds up or breaks a request.
+// Rows go pending -> sent, or failed after MAX_ATTEMPTS.
+
+const BATCH_SIZE = 20;
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_SECONDS = 30; // Doubles per attempt: 30s, 1m, 2m, 4m, 8m
+const SEND_LEASE_SECONDS = 120; // A claimed row becomes due again after this if its sender died
+
+// Queue one email. The recipient defaults to the user's email; the template data always gets
+// the user's username. Returns false if there is nowhere to send it or dedupeKey was already used.
+const notify = async ({ userId = null, to = null, template, data = {}, dedupeKey = null }, client = pool) => {
+  if (!TEMPLATES[template]) throw new Error(`Unknown email template ${template}`);
+
+  let recipient = to;
+  let username = data.username;
+  if (userId) {
+    const userRes = await client.query('SELECT username, email FROM users WHERE id = $1', [userId]);
+    const user = userRes.rows[0];
+    if (!user) return false;
+    recipient = recipient || user.email;
+    username = username || user.username;
+  }
+  if (!recipient) return false;
+
+  const res = await client.query(
+    `INSERT INTO notification_outbox (id, user_id, recipient, template, payload, dedupe_key)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (dedupe_key) WHERE dedupe_key IS NOT NULL DO NOTHING`,
+    [uuidv4(), userId, recipient, template, JSON.stringify({ ...data, username }), dedupeKey]
+  );
+  return res.rowCount > 0;
+};
+
+const deliver = async (row) => {
+  try {
+    const { subject, html } = render(row.template, row.payload);
+    await getTransport().send({ to: row.recipient, subject, html });
+    await pool.query("UPDATE notification_outbox SET status = 'sent', sent_at = NOW(), last_error = NULL WHERE id = $1", [row.id]);
+  } catch (e) {
+    const failed = row.attempts >= MAX_ATTEMPTS;
+    await pool.query(
+      'UPDATE notification_outbox SET status = $1, last_error = $2, next_attempt_at = NOW() + make_interval(secs => $3) WHERE id = $4',
+      [failed ? 'failed' : 'pending', String(e.message).slice(0, 1000), RETRY_BASE_SECONDS * 2 ** (row.attempts - 1), row.id]
+    );
+    console.error(`Email ${row.id} (${row.template}) attempt ${row.attempts} failed${failed ? ', giving up' : ''}:`, e.message);
+  }
+};
+
+// Send one batch of due emails. Rows are claimed with SKIP LOCKED, so any number of
+// instances can run this at once. Returns how many were attempted.
+const processOutbox = async () => {
+  const claimed = await pool.query(`
+    UPDATE notification_outbox o
+    SET attempts = o.attempts + 1, next_attempt_at = NOW() + make_interval(secs => $2)
+    FROM (
+      SELECT id FROM notification_outbox
+      WHERE status = 'pending' AND next_attempt_at <= NOW()
+      ORDER BY next_attempt_at
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    ) due
+    WHERE o.id = due.id
+    RETURNING o.*
+  `, [BATCH_SIZE, SEND_LEASE_SECONDS]);
+
+  for (const row of claimed.rows) await deliver(row);
+  return claimed.rows.length;
+};
+
+module.exports = {
+  notify,
+  processOutbox
+};
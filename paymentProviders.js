@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+require('dotenv').config();
+
+// Payment gateway adapters. Each one implements:
+//   createOrder({ orderId, amountCents, currency, expiresAt }) -> { providerOrderId, checkout }
+//     checkout is whatever the client needs to open the gateway's payment page
+//   verifySignature(rawBody, headers) -> boolean, for webhook calls
+//   parseEvent(body) -> { orderId, providerOrderId, paymentId, status: 'paid' | 'failed', amountCents, currency }
+//     orderId is our order (the deposit's reference_id)
+// Only the fake provider ships; a real gateway is added as another entry in PROVIDERS.
+// The fake one doesn't exist with NODE_ENV=production: anyone who can sign its webhooks can
+// credit any order.
+
+const hmacHex = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+// Constant-time comparison of hex signatures
+const signaturesMatch = (expected, received) => {
+  const a = Buffer.from(expected, 'hex');
+  const b = Buffer.from(String(received || ''), 'hex');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// --- Fake provider (development and tests) ---
+// Orders are "paid" through POST /api/payments/fake/:orderId, which signs a webhook exactly
+// like a real gateway would and feeds it through the normal webhook handler.
+// Random per process unless set; the checkout signs and verifies in the same process anyway
+const FAKE_SECRET = process.env.FAKE_PAYMENT_SECRET || crypto.randomBytes(32).toString('hex');
+const FAKE_SIGNATURE_HEADER = 'x-fake-signature';
+
+const fake = {
+  name: 'fake',
+  developmentOnly: true,
+
+  createOrder: async ({ orderId }) => ({
+    providerOrderId: `fake_order_${orderId}`,
+    checkout: { url: `/api/payments/fake/${orderId}` }
+  }),
+
+  verifySignature: (rawBody, headers) => Boolean(rawBody) && signaturesMatch(hmacHex(FAKE_SECRET, rawBody), headers[FAKE_SIGNATURE_HEADER]),
+
+  parseEvent: (body) => ({
+    orderId: body.orderId,
+    providerOrderId: body.providerOrderId,
+    paymentId: body.paymentId,
+    status: body.event === 'payment.captured' ? 'paid' : 'failed',
+    amountCents: body.amount,
+    currency: body.currency
+  }),
+
+  // The signed webhook the gateway would send. outcome: 'paid' | 'failed'
+  simulateWebhook: ({ orderId, providerOrderId, amountCents, currency }, outcome) => {
+    const rawBody = Buffer.from(JSON.stringify({
+      event: outcome === 'paid' ? 'payment.captured' : 'payment.failed',
+      orderId,
+      providerOrderId,
+      paymentId: `fake_pay_${uuidv4()}`,
+      amount: amountCents,
+      currency
+    }));
+    return { rawBody, headers: { [FAKE_SIGNATURE_HEADER]: hmacHex(FAKE_SECRET, rawBody) } };
+  }
+};
+
+const PROVIDERS = { fake };
+
+const getProvider = (name) => {
+  const provider = PROVIDERS[name];
+  if (!provider || (provider.developmentOnly && process.env.NODE_ENV === 'production')) return null;
+  return provider;
+};
+
+module.exports = {
+  hmacHex,
+  signaturesMatch,
+  getProvider
+};
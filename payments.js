@@ -0,0 +1,158 @@
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('./db');
+const wallet = require('./wallet');
+const { getProvider } = require('./paymentProviders');
+require('dotenv').config();
+
+// Deposits through a payment gateway. An order is a 'deposit' transaction in status 'pending'
+// (reference_id = order id, so it doesn't count towards the balance yet). The gateway's signed
+// webhook completes it and credits the wallet, or marks it 'failed'. Orders nobody pays
+// become 'expired'.
+
+// Production has no default: a real gateway must be configured
+const PAYMENT_PROVIDER = process.env.PAYMENT_PROVIDER || (process.env.NODE_ENV === 'production' ? null : 'fake');
+const DEPOSIT_MIN = parseFloat(process.env.DEPOSIT_MIN) || 10;
+const DEPOSIT_MAX = parseFloat(process.env.DEPOSIT_MAX) || 100000;
+const ORDER_TTL_MS = 30 * 60000;
+const CURRENCY = 'INR';
+
+class PaymentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PaymentError';
+  }
+}
+
+const orderView = (row) => ({
+  orderId: row.reference_id,
+  amount: parseFloat(row.amount),
+  status: row.status,
+  provider: row.provider,
+  createdAt: row.created_at,
+  expiresAt: row.expires_at
+});
+
+// Called at startup, so a server without a usable gateway (or with the fake one in production)
+// never takes traffic
+const checkProviderConfig = () => {
+  if (!PAYMENT_PROVIDER) throw new Error('PAYMENT_PROVIDER must be set in production');
+  if (!getProvider(PAYMENT_PROVIDER)) throw new Error(`Payment provider ${PAYMENT_PROVIDER} is unknown or not allowed in production`);
+};
+
+// Whole paise, within the configured range
+const validateAmount = (value) => {
+  const amount = parseFloat(value);
+  if (!Number.isFinite(amount) || Math.abs(amount * 100 - Math.round(amount * 100)) > 1e-6) throw new PaymentError('Invalid amount');
+  if (amount < DEPOSIT_MIN) throw new PaymentError(`Minimum deposit is ₹${DEPOSIT_MIN}`);
+  if (amount > DEPOSIT_MAX) throw new PaymentError(`Maximum deposit is ₹${DEPOSIT_MAX}`);
+  return amount;
+};
+
+// Returns the order plus the provider's checkout details for the client
+const createDepositOrder = async (userId, value) => {
+  const amount = validateAmount(value);
+  const provider = getProvider(PAYMENT_PROVIDER);
+  if (!provider) throw new Error(`Unknown payment provider ${PAYMENT_PROVIDER}`);
+
+  const orderId = uuidv4();
+  const expiresAt = new Date(Date.now() + ORDER_TTL_MS);
+  const res = await pool.query(
+    `INSERT INTO transactions (id, user_id, type, amount, status, reference_id, description, provider, expires_at)
+     VALUES ($1, $2, 'deposit', $3, 'pending', $4, 'Deposit', $5, $6) RETURNING *`,
+    [uuidv4(), userId, amount, orderId, provider.name, expiresAt]
+  );
+
+  let gatewayOrder;
+  try {
+    gatewayOrder = await provider.createOrder({ orderId, amountCents: wallet.toCents(amount), currency: CURRENCY, expiresAt });
+  } catch (e) {
+    await pool.query("UPDATE transactions SET status = 'failed' WHERE id = $1", [res.rows[0].id]);
+    throw e;
+  }
+  await pool.query('UPDATE transactions SET provider_order_id = $1 WHERE id = $2', [gatewayOrder.providerOrderId, res.rows[0].id]);
+
+  return { ...orderView(res.rows[0]), checkout: gatewayOrder.checkout };
+};
+
+const getDepositOrder = async (userId, orderId) => {
+  const res = await pool.query(
+    "SELECT * FROM transactions WHERE user_id = $1 AND type = 'deposit' AND reference_id = $2 AND provider IS NOT NULL",
+    [userId, String(orderId)]
+  );
+  return res.rows[0] ? orderView(res.rows[0]) : null;
+};
+
+// Any order by id, for the fake provider's checkout
+const findOrder = async (orderId) => {
+  const res = await pool.query(
+    "SELECT * FROM transactions WHERE type = 'deposit' AND reference_id = $1 AND provider IS NOT NULL",
+    [String(orderId)]
+  );
+  return res.rows[0] || null;
+};
+
+// Verify and apply one webhook call. Safe to replay: an order is credited at most once.
+// Returns { order, userId, credited } (credited is false for duplicates and failures).
+const handleWebhook = async (providerName, rawBody, headers) => {
+  const provider = getProvider(providerName);
+  if (!provider) throw new PaymentError('Unknown payment provider');
+  if (!provider.verifySignature(rawBody, headers)) throw new PaymentError('Invalid signature');
+
+  let event;
+  try {
+    event = provider.parseEvent(JSON.parse(rawBody.toString('utf8')));
+  } catch (e) {
+    throw new PaymentError('Malformed webhook');
+  }
+
+  return wallet.withTransaction(async (client) => {
+    const orderRes = await client.query(
+      "SELECT * FROM transactions WHERE type = 'deposit' AND reference_id = $1 AND provider = $2 FOR UPDATE",
+      [String(event.orderId), provider.name]
+    );
+    const order = orderRes.rows[0];
+    if (!order) throw new PaymentError('Unknown order');
+    if (event.providerOrderId && order.provider_order_id && event.providerOrderId !== order.provider_order_id) {
+      throw new PaymentError('Order does not match');
+    }
+    if (order.status === 'completed') return { order: orderView(order), userId: order.user_id, credited: false };
+
+    if (event.status === 'failed') {
+      if (order.status !== 'pending') return { order: orderView(order), userId: order.user_id, credited: false };
+      const failedRes = await client.query("UPDATE transactions SET status = 'failed' WHERE id = $1 RETURNING *", [order.id]);
+      return { order: orderView(failedRes.rows[0]), userId: order.user_id, credited: false };
+    }
+
+    if (event.amountCents !== wallet.toCents(order.amount) || event.currency !== CURRENCY) {
+      console.error(`Deposit ${order.reference_id}: paid ${event.amountCents} ${event.currency}, expected ${wallet.toCents(order.amount)} ${CURRENCY}`);
+      throw new PaymentError('Amount does not match the order');
+    }
+    // The gateway took the money, so a late payment still counts
+    if (order.status !== 'pending') console.warn(`Deposit ${order.reference_id} paid while ${order.status}; crediting`);
+
+    await wallet.lockWallets(client, [order.user_id]);
+    await client.query('UPDATE transactions SET provider_payment_id = $1 WHERE id = $2', [event.paymentId || null, order.id]);
+    await wallet.completeEntry(client, order.id);
+    return { order: { ...orderView(order), status: 'completed' }, userId: order.user_id, credited: true };
+  });
+};
+
+// Pending orders past their expiry. Returns how many were expired.
+const expireOrders = async () => {
+  const res = await pool.query(
+    "UPDATE transactions SET status = 'expired' WHERE type = 'deposit' AND status = 'pending' AND expires_at < NOW()"
+  );
+  return res.rowCount;
+};
+
+module.exports = {
+  PAYMENT_PROVIDER,
+  CURRENCY,
+  PaymentError,
+  checkProviderConfig,
+  createDepositOrder,
+  getDepositOrder,
+  findOrder,
+  handleWebhook,
+  expireOrders
+};
@@ -0,0 +1,66 @@
+const { redis } = require('./db');
+
+// Redis-backed counters, shared by every instance.
+//   hit(): fixed-window request limits (per IP, per user, ...)
+//   recordFailure()/lockedFor(): lock an account or token out after too many failed attempts
+
+// Redis keys
+const hitKey = (name, id) => `rl:${name}:${id}`;
+const failKey = (scope, id) => `lockout:fail:${scope}:${id}`;
+const lockKey = (scope, id) => `lockout:${scope}:${id}`;
+
+// Counts one request. { allowed, retryAfterMs }
+const hit = async (name, id, limit, windowMs) => {
+  const key = hitKey(name, id);
+  // SET NX starts the window (with its expiry) only if there isn't one running
+  const [, [, count], [, ttl]] = await redis.multi()
+    .set(key, 0, 'PX', windowMs, 'NX')
+    .incr(key)
+    .pttl(key)
+    .exec();
+  return { allowed: count <= limit, retryAfterMs: count <= limit ? 0 : Math.max(ttl, 0) };
+};
+
+// Express middleware: 429 with Retry-After once keyOf(req)'s limit is used up.
+// keyOf returning nothing skips the check.
+const limitRequests = ({ name, limit, windowMs, keyOf = (req) => req.ip }) => async (req, res, next) => {
+  try {
+    const id = keyOf(req);
+    if (!id) return next();
+    const { allowed, retryAfterMs } = await hit(name, id, limit, windowMs);
+    if (allowed) return next();
+    res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+    res.status(429).json({ success: false, message: 'Too many requests, please try again later' });
+  } catch (e) {
+    next(e);
+  }
+};
+
+// Milliseconds left on a lockout, 0 if not locked
+const lockedFor = async (scope, id) => Math.max(await redis.pttl(lockKey(scope, id)), 0);
+
+// Counts a failed attempt; the maxFailures-th within windowMs locks (scope, id) for lockMs.
+// Returns true if this failure caused the lock.
+const recordFailure = async (scope, id, { maxFailures, windowMs, lockMs }) => {
+  const [, [, failures]] = await redis.multi()
+    .set(failKey(scope, id), 0, 'PX', windowMs, 'NX')
+    .incr(failKey(scope, id))
+    .exec();
+  if (failures < maxFailures) return false;
+  await redis.multi()
+    .set(lockKey(scope, id), '1', 'PX', lockMs)
+    .del(failKey(scope, id))
+    .exec();
+  return true;
+};
+
+// After a success: forget the failures and lift any lock
+const clearFailures = (scope, id) => redis.del(failKey(scope, id), lockKey(scope, id));
+
+module.exports = {
+  hit,
+  limitRequests,
+  lockedFor,
+  recordFailure,
+  clearFailures
+};
@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('./db');
+const wallet = require('./wallet');
+require('dotenv').config();
+
+// Bonuses (rupees, 0 disables either side) and what the new user has to do to unlock them:
+// 'first_deposit' or 'first_match' (first completed paid match).
+const REFERRER_BONUS = process.env.REFERRER_BONUS !== undefined ? parseFloat(process.env.REFERRER_BONUS) : 50;
+const REFEREE_BONUS = process.env.REFEREE_BONUS !== undefined ? parseFloat(process.env.REFEREE_BONUS) : 25;
+const REFERRAL_CONDITION = process.env.REFERRAL_CONDITION || 'first_deposit';
+// Referrer bonuses stop after this many; their later referees still get theirs
+const REFERRAL_MAX_BONUSES = parseInt(process.env.REFERRAL_MAX_BONUSES, 10) || 20;
+
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I
+const CODE_LENGTH = 8;
+
+// A referral is 'pending' until the condition is met, then 'qualified'. Referrals that look
+// like the referrer signing up again are 'blocked' and never pay.
+
+const generateCode = () => Array.from(crypto.randomBytes(CODE_LENGTH), b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+
+// Mailbox identity: case, +tags and (for Gmail) dots don't make a different person
+const normalizeEmail = (email) => {
+  const [local, domain] = String(email || '').trim().toLowerCase().split('@');
+  if (!domain) return local;
+  const name = local.split('+')[0];
+  if (domain === 'gmail.com' || domain === 'googlemail.com') return `${name.replace(/\./g, '')}@gmail.com`;
+  return `${name}@${domain}`;
+};
+
+// The user's code, created on first use (accounts from before referral codes have none)
+const ensureReferralCode = async (userId) => {
+  const res = await pool.query('SELECT referral_code FROM users WHERE id = $1', [userId]);
+  if (!res.rows[0]) return null;
+  if (res.rows[0].referral_code) return res.rows[0].referral_code;
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    try {
+      const updated = await pool.query(
+        'UPDATE users SET referral_code = COALESCE(referral_code, $1) WHERE id = $2 RETURNING referral_code',
+        [generateCode(), userId]
+      );
+      return updated.rows[0].referral_code;
+    } catch (e) {
+      if (e.code !== '23505') throw e; // Retry only on a code collision
+    }
+  }
+  throw new Error('Could not generate a referral code');
+};
+
+const findReferrer = async (code) => {
+  const res = await pool.query('SELECT id, email, device_id FROM users WHERE referral_code = $1', [String(code).trim().toUpperCase()]);
+  return res.rows[0] || null;
+};
+
+// Why a sign-up shouldn't earn anyone a bonus, or null if it's fine
+const blockReason = async (referrer, user, deviceId) => {
+  const emailKey = normalizeEmail(user.email);
+  if (emailKey === normalizeEmail(referrer.email)) return 'same_email';
+
+  const sameEmail = await pool.query('SELECT 1 FROM referrals WHERE referrer_id = $1 AND referee_email_key = $2', [referrer.id, emailKey]);
+  if (sameEmail.rows.length > 0) return 'same_email';
+
+  if (deviceId) {
+    if (deviceId === referrer.device_id) return 'same_device';
+    const sameDevice = await pool.query('SELECT 1 FROM users WHERE device_id = $1 AND id <> $2 LIMIT 1', [deviceId, user.id]);
+    if (sameDevice.rows.length > 0) return 'same_device';
+  }
+  return null;
+};
+
+// Link a new user to the owner of the code they signed up with
+const recordReferral = async (referrer, user, deviceId) => {
+  if (referrer.id === user.id) return null;
+  const reason = await blockReason(referrer, user, deviceId);
+  const res = await pool.query(
+    `INSERT INTO referrals (id, referrer_id, referred_user_id, status, blocked_reason, referee_email_key)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     ON CONFLICT (referred_user_id) DO NOTHING RETURNING *`,
+    [uuidv4(), referrer.id, user.id, reason ? 'blocked' : 'pending', reason, normalizeEmail(user.email)]
+  );
+  return res.rows[0] || null;
+};
+
+// Called when a user does something that may be the referral condition. Pays the bonuses
+// once (the referral row is locked and must still be pending). Returns the referral if paid.
+const qualify = (userId, event) => {
+  if (event !== REFERRAL_CONDITION) return Promise.resolve(null);
+
+  return wallet.withTransaction(async (client) => {
+    const res = await client.query("SELECT * FROM referrals WHERE referred_user_id = $1 AND status = 'pending' FOR UPDATE", [userId]);
+    const referral = res.rows[0];
+    if (!referral) return null;
+
+    // Locking the referrer's wallet first also serialises the cap check across their referees
+    await wallet.lockWallets(client, [referral.referrer_id, userId]);
+    const paidRes = await client.query(
+      "SELECT COUNT(*)::int AS count FROM referrals WHERE referrer_id = $1 AND status = 'qualified' AND bonus_amount > 0",
+      [referral.referrer_id]
+    );
+    const referrerBonus = paidRes.rows[0].count < REFERRAL_MAX_BONUSES ? REFERRER_BONUS : 0;
+
+    await wallet.applyEntry(client, {
+      userId: referral.referrer_id, type: 'bonus', amount: referrerBonus, referenceId: referral.id, description: 'Referral bonus'
+    });
+    await wallet.applyEntry(client, {
+      userId, type: 'bonus', amount: REFEREE_BONUS, referenceId: referral.id, description: 'Welcome bonus (referral)'
+    });
+
+    const updated = await client.query(
+      "UPDATE referrals SET status = 'qualified', bonus_amount = $1, referee_bonus = $2, qualified_at = NOW() WHERE id = $3 RETURNING *",
+      [referrerBonus, REFEREE_BONUS, referral.id]
+    );
+    return updated.rows[0];
+  });
+};
+
+// The user's code and the people they referred
+const getReferralSummary = async (userId) => {
+  const code = await ensureReferralCode(userId);
+  const res = await pool.query(`
+    SELECT r.id, r.referred_user_id, u.username, r.status, r.bonus_amount, r.created_at, r.qualified_at
+    FROM referrals r
+    JOIN users u ON u.id = r.referred_user_id
+    WHERE r.referrer_id = $1
+    ORDER BY r.created_at DESC
+  `, [userId]);
+  const earned = res.rows.reduce((sum, r) => sum + wallet.toCents(r.bonus_amount), 0);
+
+  return {
+    code,
+    condition: REFERRAL_CONDITION,
+    referrerBonus: REFERRER_BONUS,
+    refereeBonus: REFEREE_BONUS,
+    count: res.rows.length,
+    earned: wallet.fromCents(earned),
+    // The reason a referral was blocked stays internal
+    referrals: res.rows.map(r => ({ ...r, status: r.status === 'blocked' ? 'ineligible' : r.status }))
+  };
+};
+
+module.exports = {
+  REFERRAL_CONDITION,
+  ensureReferralCode,
+  findReferrer,
+  recordReferral,
+  qualify,
+  getReferralSummary
+};
@@ -1,23 +1,47 @@
 const express = require('express');
 const http = require('http');
 const socketIO = require('socket.io');
-const { Chess } = require('chess.js');
+const { createAdapter } = require('@socket.io/redis-adapter');
+const { Chess, DEFAULT_POSITION } = require('chess.js');
 const { v4: uuidv4 } = require('uuid');
 const cors = require('cors'); // Import cors
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
 const { pool, redis, initDb } = require('./db');
+const glicko2 = require('./glicko2');
+const wallet = require('./wallet');
+const gameStore = require('./gameStore');
+const tournaments = require('./tournaments');
+const audit = require('./audit');
+const withdrawals = require('./withdrawals');
+const referrals = require('./referrals');
+const support = require('./support');
+const leaderboards = require('./leaderboards');
+const { parseTimeControl, resolveTimeControl } = require('./timeControls');
+const fairPlay = require('./fairPlay');
+const chat = require('./chat');
+const rateLimit = require('./rateLimit');
+const payments = require('./payments');
+const { getProvider } = require('./paymentProviders');
+const notifications = require('./notifications');
+const engine = require('./engine');
+const { issueTokens, refreshTokens, revokeTokens, revokeAllSessions, requireAuth, requireSelf, requireAdmin, requireSelfOrAdmin, authenticateSocket } = require('./auth');
 
-const nodemailer = require('nodemailer');
 require('dotenv').config();
 
 const app = express();
 const server = http.createServer(app);
 
+// Behind a load balancer (e.g. TRUST_PROXY=1) so req.ip is the client, not the proxy
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? parseInt(process.env.TRUST_PROXY, 10) : process.env.TRUST_PROXY);
+}
+
 // Enable CORS for all routes
 app.use(cors());
 
-// Middleware to parse JSON bodies
-app.use(express.json());
+// Middleware to parse JSON bodies (the raw bytes are kept for webhook signature checks)
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 
 const io = socketIO(server, {
   cors: {
@@ -26,131 +50,189 @@ const io = socketIO(server, {
   }
 });
 
+// Route rooms and broadcasts across every server instance
+const pubClient = redis.duplicate();
+const subClient = pubClient.duplicate();
+io.adapter(createAdapter(pubClient, subClient));
+
 
 const PORT = 3000;
+const NOTIFICATION_INTERVAL_MS = 5000; // How often the email outbox is drained
 
-// Email Configuration
-const transporter = nodemailer.createTransport({
-  service: 'gmail',
-  auth: {
-    user: process.env.EMAIL_USER,
-    pass: process.env.EMAIL_PASS
-  }
-});
-
-// HTML Email Template Builder
-const getHtmlTemplate = (title, bodyContent) => `
-<!DOCTYPE html>
-<html>
-<head>
-<style>
-  body { font-family: 'Georgia', serif; background-color: #1a0a0a; color: #F5F5DC; padding: 20px; }
-  .container { max-width: 600px; margin: 0 auto; background-color: #2a1515; border: 1px solid #D4AF37; border-radius: 10px; overflow: hidden; }
-  .header { background-color: #1a0a0a; padding: 20px; text-align: center; border-bottom: 2px solid #D4AF37; }
-  .header h1 { color: #D4AF37; margin: 0; font-size: 24px; letter-spacing: 2px; }
-  .content { padding: 30px; line-height: 1.6; color: #F5F5DC; }
-  .otp { background-color: #D4AF37; color: #1a0a0a; font-size: 24px; font-weight: bold; padding: 10px 20px; border-radius: 5px; display: inline-block; margin: 20px 0; letter-spacing: 5px; }
-  .footer { background-color: #1a0a0a; padding: 15px; text-align: center; font-size: 12px; color: #888; border-top: 1px solid #333; }
-</style>
-</head>
-<body>
-  <div class="container">
-    <div class="header">
-      <h1>GTP CLUB CHESS</h1>
-    </div>
-    <div class="content">
-      <h2>${title}</h2>
-      ${bodyContent}
-    </div>
-    <div class="footer">
-      &copy; 2025 GTP Club Chess. All rights reserved.
-    </div>
-  </div>
-</body>
-</html>
-`;
-
-// Helper to send email
-const sendEmail = async (to, subject, htmlContent) => {
-  if (!process.env.EMAIL_USER || process.env.EMAIL_PASS === 'YOUR_APP_PASSWORD_HERE') {
-    console.log(`[Mock Email] To: ${to}, Subject: ${subject}`);
-    return;
-  }
-  try {
-    await transporter.sendMail({
-      from: '"GTP Club Chess" <ramak092@gmail.com>', // Sender Name
-      to,
-      subject,
-      html: htmlContent
-    });
-    console.log(`Email sent to ${to}`);
-  } catch (error) {
-    console.error('Email send failed:', error);
-  }
+// --- REST Endpoints for Features ---
+
+// Game modes with their own rating pool and W/L/D counters
+const GAME_MODES = ['BULLET', 'BLITZ', 'RAPID', 'CLASSICAL', 'TOURNAMENT'];
+// Modes with their own clock and queue. Tournament games use one of these as their time control.
+const PLAYABLE_MODES = GAME_MODES.filter(m => m !== 'TOURNAMENT');
+
+// Optional ?mode= filter; undefined if absent, null if invalid
+const parseModeFilter = (req) => {
+  const { mode } = req.query;
+  if (!mode) return undefined;
+  const upper = String(mode).toUpperCase();
+  return GAME_MODES.includes(upper) ? upper : null;
 };
 
-// --- REST Endpoints for Features ---
+// Client-reported device identifier (body or X-Device-Id header), used for referral abuse checks
+const deviceIdOf = (req) => {
+  const deviceId = req.body.deviceId || req.get('x-device-id');
+  return deviceId ? String(deviceId).slice(0, 100) : null;
+};
+
+// --- Brute-force protection ---
+// Per-IP request limits on the auth endpoints, plus per-account lockouts after repeated
+// failed passwords or OTPs. Lockouts are keyed by the submitted name whether or not the
+// account exists, and unknown accounts get the same responses as wrong credentials.
+const AUTH_WINDOW_MS = 15 * 60000;
+const LOGIN_IP_LIMIT = parseInt(process.env.LOGIN_IP_LIMIT, 10) || 20; // Per AUTH_WINDOW_MS
+const PASSWORD_RESET_IP_LIMIT = parseInt(process.env.PASSWORD_RESET_IP_LIMIT, 10) || 10; // Forgot + reset, per AUTH_WINDOW_MS
+const REGISTER_IP_LIMIT = parseInt(process.env.REGISTER_IP_LIMIT, 10) || 5; // Per hour
+const FORGOT_PASSWORD_ACCOUNT_LIMIT = 3; // OTPs per account per hour
+const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5;
+const OTP_MAX_FAILURES = parseInt(process.env.OTP_MAX_FAILURES, 10) || 5;
+const LOCKOUT_MS = parseInt(process.env.LOCKOUT_MS, 10) || 15 * 60000;
+const OTP_TTL_MS = 10 * 60000;
+
+const loginLimiter = rateLimit.limitRequests({ name: 'login_ip', limit: LOGIN_IP_LIMIT, windowMs: AUTH_WINDOW_MS });
+const passwordResetLimiter = rateLimit.limitRequests({ name: 'password_reset_ip', limit: PASSWORD_RESET_IP_LIMIT, windowMs: AUTH_WINDOW_MS });
+const registerLimiter = rateLimit.limitRequests({ name: 'register_ip', limit: REGISTER_IP_LIMIT, windowMs: 3600 * 1000 });
+
+// Register doesn't say whether the username or the email was the one taken
+const REGISTER_FAILED_MESSAGE = 'Could not create an account with these details';
+
+// Compared against when the username doesn't exist, so both cases take as long
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), 10);
+
+// Lockout id for a submitted username or email
+const accountKey = (value) => String(value || '').trim().slice(0, 255);
+
+const sendLocked = (res, ms) => {
+  res.set('Retry-After', String(Math.ceil(ms / 1000)));
+  res.status(429).json({ success: false, message: `Too many failed attempts. Try again in ${Math.ceil(ms / 60000)} minute(s).` });
+};
+
+// Remember the device the user signed in from (users.device_id is the latest one). A device
+// not seen before gets a new-device email, except for the account's first one.
+async function recordDevice(user, deviceId, ip) {
+  const knownRes = await pool.query('SELECT COUNT(*)::int AS count FROM user_devices WHERE user_id = $1', [user.id]);
+  const res = await pool.query(`
+    INSERT INTO user_devices (user_id, device_id) VALUES ($1, $2)
+    ON CONFLICT (user_id, device_id) DO UPDATE SET last_seen_at = NOW()
+    RETURNING (xmax = 0) AS inserted
+  `, [user.id, deviceId]);
+  if (deviceId !== user.device_id) await pool.query('UPDATE users SET device_id = $1 WHERE id = $2', [deviceId, user.id]);
+
+  if (res.rows[0].inserted && knownRes.rows[0].count > 0) {
+    await notifications.notify({ userId: user.id, template: 'new_device_login', data: { ip, deviceId, at: new Date().toISOString() } });
+  }
+}
 
-// 1. User Register (New)
-app.post('/api/register', async (req, res) => {
-  const { username, password, email } = req.body;
+// 1. User Register (New). Optional referralCode links the new account to its referrer.
+app.post('/api/register', registerLimiter, async (req, res) => {
+  const { username, password, email, referralCode } = req.body;
+  const deviceId = deviceIdOf(req);
 
   if (!username || !password || !email) {
     return res.status(400).json({ success: false, message: 'All fields required' });
   }
 
   try {
-    const existing = await pool.query('SELECT * FROM users WHERE username = $1 OR email = $2', [username, email]);
+    // Hashed up front so a taken name or email answers no faster than a new account
+    const hashed = await bcrypt.hash(password, 10);
+    const existing = await pool.query('SELECT id FROM users WHERE username = $1 OR email = $2', [username, email]);
     if (existing.rows.length > 0) {
-      return res.status(400).json({ success: false, message: 'Username or Email already exists' });
+      return res.status(400).json({ success: false, message: REGISTER_FAILED_MESSAGE });
     }
 
-    const id = uuidv4();
-    const hashed = await bcrypt.hash(password, 10);
+    const referrer = referralCode ? await referrals.findReferrer(referralCode) : null;
+    if (referralCode && !referrer) {
+      return res.status(400).json({ success: false, message: 'Invalid referral code' });
+    }
 
+    const id = uuidv4();
     const newUser = await pool.query(
-      'INSERT INTO users (id, username, email, password_hash, wallet_balance) VALUES ($1, $2, $3, $4, $5) RETURNING *',
-      [id, username, email, hashed, 0.00]
+      'INSERT INTO users (id, username, email, password_hash, wallet_balance, device_id) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
+      [id, username, email, hashed, 0.00, deviceId]
     );
 
     const user = newUser.rows[0];
     delete user.password_hash;
+    user.referral_code = await referrals.ensureReferralCode(id);
+    if (referrer) await referrals.recordReferral(referrer, user, deviceId);
+    if (deviceId) await recordDevice(user, deviceId, req.ip);
 
-    // Send Welcome Email
-    const html = getHtmlTemplate('Welcome Aboard!', `
-      <p>Dear <strong>${username}</strong>,</p>
-      <p>Welcome to the most prestigious chess club. Your account has been successfully created.</p>
-      <p>Get ready to challenge grandmasters and climb the ranks.</p>
-      <p><em>Good luck and good game!</em></p>
-    `);
-    await sendEmail(email, 'Welcome to GTP Club Chess', html);
+    await notifications.notify({ userId: id, template: 'welcome' });
 
-    res.json({ success: true, user });
+    const tokens = await issueTokens(user);
+    res.json({ success: true, user, ...tokens });
   } catch (e) {
+    // Lost a race with a concurrent registration of the same name or email
+    if (e.code === '23505') return res.status(400).json({ success: false, message: REGISTER_FAILED_MESSAGE });
     console.error(e);
     res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
 // 2. User Login (Updated: No Auto-Register)
-app.post('/api/login', async (req, res) => {
+// Unknown username and wrong password get the same answer
+app.post('/api/login', loginLimiter, async (req, res) => {
   const { username, password } = req.body;
+  const key = accountKey(username);
+  if (!key || !password) {
+    return res.status(400).json({ success: false, message: 'Username and password required' });
+  }
+
   try {
+    const lockedMs = await rateLimit.lockedFor('login', key);
+    if (lockedMs > 0) return sendLocked(res, lockedMs);
+
     const existing = await pool.query('SELECT * FROM users WHERE username = $1', [username]);
+    const user = existing.rows[0];
+    const match = await bcrypt.compare(String(password), user ? user.password_hash : DUMMY_PASSWORD_HASH);
 
-    if (existing.rows.length === 0) {
-      return res.status(404).json({ success: false, message: 'User not found' });
+    if (!user || !match) {
+      const locked = await rateLimit.recordFailure('login', key, { maxFailures: LOGIN_MAX_FAILURES, windowMs: LOCKOUT_MS, lockMs: LOCKOUT_MS });
+      if (locked) console.warn(`Login locked for "${key}" from ${req.ip}`);
+      return res.status(401).json({ success: false, message: 'Invalid username or password' });
     }
+    await rateLimit.clearFailures('login', key);
 
-    const user = existing.rows[0];
-    const match = await bcrypt.compare(password, user.password_hash);
+    delete user.password_hash;
+    const deviceId = deviceIdOf(req);
+    if (deviceId) await recordDevice(user, deviceId, req.ip);
+
+    const tokens = await issueTokens(user);
+    res.json({ success: true, user, ...tokens });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-    if (!match) {
-      return res.status(401).json({ success: false, message: 'Invalid password' });
+// 2b. Refresh Access Token (rotates the refresh token)
+app.post('/api/token/refresh', async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) {
+    return res.status(400).json({ success: false, message: 'Refresh token required' });
+  }
+  try {
+    const tokens = await refreshTokens(refreshToken);
+    if (!tokens) {
+      return res.status(401).json({ success: false, message: 'Invalid or expired refresh token' });
     }
+    res.json({ success: true, ...tokens });
+  } catch (e) {
+    console.error(e);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
 
-    delete user.password_hash;
-    res.json({ success: true, user });
+// 2c. Logout (revokes current access token and the given refresh token)
+app.post('/api/logout', requireAuth, async (req, res) => {
+  try {
+    await revokeTokens(req.user, req.body.refreshToken);
+    res.json({ success: true, message: 'Logged out' });
   } catch (e) {
     console.error(e);
     res.status(500).json({ success: false, message: 'Server error' });
@@ -158,9 +240,19 @@ app.post('/api/login', async (req, res) => {
 });
 
 // 3. Forgot Password (OTP)
-app.post('/api/forgot-password', async (req, res) => {
+// Same response whether or not the account exists (or has an email to send to)
+app.post('/api/forgot-password', passwordResetLimiter, async (req, res) => {
   const { username, email } = req.body; // Allow finding by either
+  const key = accountKey(email || username);
+  if (!key) {
+    return res.status(400).json({ success: false, message: 'Username or email required' });
+  }
+
   try {
+    if (!(await rateLimit.hit('forgot_password', key, FORGOT_PASSWORD_ACCOUNT_LIMIT, 3600 * 1000)).allowed) {
+      return res.status(429).json({ success: false, message: 'Too many reset requests, please try again later' });
+    }
+
     let query = 'SELECT * FROM users WHERE username = $1';
     let params = [username];
 
@@ -170,14 +262,19 @@ app.post('/api/forgot-password', async (req, res) => {
     }
 
     const userRes = await pool.query(query, params);
-    if (userRes.rows.length === 0) {
-      return res.status(400).json({ success: false, message: 'User not found' });
-    }
     const user = userRes.rows[0];
+    const response = { success: true, message: 'If the account exists, an OTP has been sent to its registered email' };
+
+    if (!user) return res.json(response);
+    if (!user.email) {
+      // Older accounts without an email have to go through support
+      console.log(`Password reset requested for ${user.id}, which has no email on file`);
+      return res.json(response);
+    }
 
     // Generate 6 Digit OTP
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    const expiresAt = new Date(Date.now() + 10 * 60000); // 10 mins
+    const otp = crypto.randomInt(100000, 1000000).toString();
+    const expiresAt = new Date(Date.now() + OTP_TTL_MS);
 
     // Remove old tokens
     await pool.query('DELETE FROM password_reset_tokens WHERE user_id = $1', [user.id]);
@@ -188,22 +285,8 @@ app.post('/api/forgot-password', async (req, res) => {
       [uuidv4(), user.id, otp, expiresAt]
     );
 
-    // Send Email (Use user.email from DB)
-    if (user.email) {
-      const html = getHtmlTemplate('Password Reset Request', `
-        <p>Dear ${user.username},</p>
-        <p>You requested a password reset. Use the One-Time Password (OTP) below to complete the process:</p>
-        <center><div class="otp">${otp}</div></center>
-        <p>This code is valid for 10 minutes. If you did not request this, please ignore this email.</p>
-      `);
-      await sendEmail(user.email, 'Password Reset OTP - GTP Club Chess', html);
-      res.json({ success: true, message: 'OTP sent to registered email' });
-    } else {
-      // Allow fallback for older accounts without email? Or force them to contact support.
-      // For now, return OTP in response for testing/legacy support if dev mode
-      res.json({ success: true, message: 'OTP Generated (Check Console)', debugOtp: otp });
-    }
-
+    await notifications.notify({ userId: user.id, template: 'password_reset', data: { otp } });
+    res.json(response);
   } catch (e) {
     console.error(e);
     res.status(500).json({ success: false, message: 'Server error' });
@@ -211,21 +294,34 @@ app.post('/api/forgot-password', async (req, res) => {
 });
 
 // 4. Reset Password
-app.post('/api/reset-password', async (req, res) => {
+// OTP_MAX_FAILURES wrong codes burn the outstanding OTP and lock the account's resets
+app.post('/api/reset-password', passwordResetLimiter, async (req, res) => {
   const { username, otp, newPassword } = req.body;
+  const key = accountKey(username);
+  if (!key || !otp || !newPassword) {
+    return res.status(400).json({ success: false, message: 'Username, OTP and new password required' });
+  }
+
   try {
+    const lockedMs = await rateLimit.lockedFor('otp', key);
+    if (lockedMs > 0) return sendLocked(res, lockedMs);
+
     const userRes = await pool.query('SELECT * FROM users WHERE username = $1', [username]);
-    if (userRes.rows.length === 0) return res.status(400).json({ success: false, message: 'User not found' });
     const user = userRes.rows[0];
 
-    const tokenRes = await pool.query(
-      'SELECT * FROM password_reset_tokens WHERE user_id = $1 AND token = $2 AND used = FALSE AND expires_at > NOW()',
-      [user.id, otp]
-    );
+    const tokenRes = user
+      ? await pool.query(
+        'SELECT * FROM password_reset_tokens WHERE user_id = $1 AND token = $2 AND used = FALSE AND expires_at > NOW()',
+        [user.id, String(otp)]
+      )
+      : { rows: [] };
 
     if (tokenRes.rows.length === 0) {
+      const locked = await rateLimit.recordFailure('otp', key, { maxFailures: OTP_MAX_FAILURES, windowMs: OTP_TTL_MS, lockMs: LOCKOUT_MS });
+      if (locked && user) await pool.query('DELETE FROM password_reset_tokens WHERE user_id = $1', [user.id]);
       return res.status(400).json({ success: false, message: 'Invalid or Expired OTP' });
     }
+    await rateLimit.clearFailures('otp', key);
 
     // Update Password
     const hashed = await bcrypt.hash(newPassword, 10);
@@ -234,6 +330,10 @@ app.post('/api/reset-password', async (req, res) => {
     // Mark Token Used
     await pool.query('UPDATE password_reset_tokens SET used = TRUE WHERE id = $1', [tokenRes.rows[0].id]);
 
+    // Log out every existing session, and lift any login lockout
+    await revokeAllSessions(user.id);
+    await rateLimit.clearFailures('login', key);
+
     res.json({ success: true, message: 'Password reset successful' });
   } catch (e) {
     console.error(e);
@@ -241,27 +341,237 @@ app.post('/api/reset-password', async (req, res) => {
   }
 });
 
+// Pay out a pending referral if this event is the configured condition. Never fails the caller.
+async function rewardReferral(userId, event) {
+  if (!userId) return;
+  try {
+    const referral = await referrals.qualify(userId, event);
+    if (referral) console.log(`Referral ${referral.id} qualified (${event})`);
+  } catch (e) {
+    console.error(`Referral bonus failed for ${userId}:`, e);
+  }
+}
+
+// Result emails for paid games (free games and aborts don't send any). Never fails the caller.
+async function notifyMatchResult(match, winnings = 0) {
+  if (!(match.entryFee > 0)) return;
+  try {
+    const usersRes = await pool.query('SELECT id, username FROM users WHERE id = ANY($1)', [[match.whiteDbId, match.blackDbId]]);
+    const usernames = Object.fromEntries(usersRes.rows.map(u => [u.id, u.username]));
+    for (const color of ['white', 'black']) {
+      const userId = match.userIdOf(color);
+      if (!userId) continue;
+      const outcome = match.result.winner === 'draw' ? 'draw' : (match.result.winner === color ? 'won' : 'lost');
+      await notifications.notify({
+        userId,
+        template: 'match_result',
+        data: {
+          outcome,
+          reason: match.result.reason,
+          opponent: usernames[match.userIdOf(opposite(color))] || null,
+          gameMode: match.gameMode,
+          timeControl: match.timeControl ? match.timeControl.name : null,
+          entryFee: match.entryFee,
+          winnings: outcome === 'won' ? winnings : 0,
+          matchId: match.matchId
+        },
+        dedupeKey: `match_result:${match.matchId}:${userId}`
+      });
+    }
+  } catch (e) {
+    console.error(`Result emails failed for ${match.matchId}:`, e);
+  }
+}
+
 // Helper handleGameOver updated for DB persistence and usernames
+// Store the PGN and per-move record. Ratings are read before this game's rating update.
+async function saveGameRecord(match) {
+  const usersRes = await pool.query('SELECT id, username FROM users WHERE id = ANY($1)', [[match.whiteDbId, match.blackDbId]]);
+  const white = usersRes.rows.find(u => u.id === match.whiteDbId) || {};
+  const black = usersRes.rows.find(u => u.id === match.blackDbId) || {};
+  const ratings = await loadRatings([match.whiteDbId, match.blackDbId].filter(Boolean), match.gameMode);
+
+  const pgn = match.toPgn({
+    white: white.username || match.usernames.white,
+    black: black.username || match.usernames.black,
+    whiteElo: ratings[match.whiteDbId] && ratings[match.whiteDbId].rating,
+    blackElo: ratings[match.blackDbId] && ratings[match.blackDbId].rating
+  });
+  await pool.query('UPDATE matches SET pgn = $1, moves = $2 WHERE id = $3', [pgn, JSON.stringify(match.moveLog), match.matchId]);
+}
+
+// Glicko-2 state lives in `users` (overall) and `user_mode_stats` (one row per game mode)
+async function loadRatings(userIds, gameMode) {
+  const res = gameMode
+    ? await pool.query('SELECT user_id AS id, rating, rating_deviation, rating_volatility FROM user_mode_stats WHERE user_id = ANY($1) AND game_mode = $2', [userIds, gameMode])
+    : await pool.query('SELECT id, rating, rating_deviation, rating_volatility FROM users WHERE id = ANY($1)', [userIds]);
+
+  const ratings = {};
+  for (const userId of userIds) {
+    const row = res.rows.find(u => u.id === userId) || {};
+    ratings[userId] = {
+      rating: row.rating !== undefined && row.rating !== null ? row.rating : glicko2.DEFAULT_RATING,
+      deviation: row.rating_deviation !== undefined && row.rating_deviation !== null ? row.rating_deviation : glicko2.DEFAULT_DEVIATION,
+      volatility: row.rating_volatility !== undefined && row.rating_volatility !== null ? row.rating_volatility : glicko2.DEFAULT_VOLATILITY
+    };
+  }
+  return ratings;
+}
+
+async function saveRating(userId, gameMode, { rating, deviation, volatility }) {
+  if (gameMode) {
+    await pool.query('UPDATE user_mode_stats SET rating = $1, rating_deviation = $2, rating_volatility = $3 WHERE user_id = $4 AND game_mode = $5',
+      [rating, deviation, volatility, userId, gameMode]);
+  } else {
+    await pool.query('UPDATE users SET rating = $1, rating_deviation = $2, rating_volatility = $3 WHERE id = $4',
+      [rating, deviation, volatility, userId]);
+  }
+}
+
+// Glicko-2 update for one rating pool (gameMode null = overall).
+// whiteScore: 1 (white won), 0.5 (draw), 0 (black won).
+async function rateGame(match, whiteScore, gameMode) {
+  const ratings = await loadRatings([match.whiteDbId, match.blackDbId], gameMode);
+  const white = ratings[match.whiteDbId];
+  const black = ratings[match.blackDbId];
+
+  const updated = {
+    white: glicko2.rate(white, [{ opponent: black, score: whiteScore }]),
+    black: glicko2.rate(black, [{ opponent: white, score: 1 - whiteScore }])
+  };
+
+  const changes = {};
+  for (const color of ['white', 'black']) {
+    const dbId = color === 'white' ? match.whiteDbId : match.blackDbId;
+    const before = color === 'white' ? white.rating : black.rating;
+    const after = Math.max(0, Math.round(updated[color].rating));
+    const { deviation, volatility } = updated[color];
+
+    await saveRating(dbId, gameMode, { rating: after, deviation, volatility });
+    await pool.query(
+      'INSERT INTO rating_history (id, user_id, match_id, game_mode, rating_before, rating_after, deviation, volatility) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)',
+      [uuidv4(), dbId, match.matchId, gameMode, before, after, deviation, volatility]
+    );
+    changes[color] = { before, after };
+  }
+  return changes;
+}
+
+// Updates the overall and the per-mode rating. Returns the per-mode
+// { white: { before, after }, black: { before, after } }, or null for unrated games.
+async function updateRatings(match, whiteScore) {
+  if (!match.rated || !match.whiteDbId || !match.blackDbId) return null;
+  await rateGame(match, whiteScore, null);
+  return rateGame(match, whiteScore, match.gameMode);
+}
+
+// Both players need a stats row for the mode before results are recorded
+async function ensureModeStats(match) {
+  for (const dbId of [match.whiteDbId, match.blackDbId]) {
+    if (!dbId) continue;
+    await pool.query('INSERT INTO user_mode_stats (user_id, game_mode) VALUES ($1, $2) ON CONFLICT DO NOTHING', [dbId, match.gameMode]);
+  }
+}
+
+// outcome: 'wins' | 'losses' | 'draws' (overall and per-mode counters)
+async function recordResult(userId, gameMode, outcome) {
+  await pool.query(`UPDATE users SET ${outcome} = ${outcome} + 1 WHERE id = $1`, [userId]);
+  await pool.query(`UPDATE user_mode_stats SET ${outcome} = ${outcome} + 1 WHERE user_id = $1 AND game_mode = $2`, [userId, gameMode]);
+}
+
+// Move-time, upset and pairing signals for a finished game (see fairPlay.js). Never fails the caller.
+async function checkFairPlay(match) {
+  try {
+    const queued = await fairPlay.checkMatch(match);
+    for (const userId of queued) console.log(`Fair play: ${userId} queued for review after match ${match.matchId}`);
+  } catch (e) {
+    console.error(`Fair-play check failed for ${match.matchId}:`, e);
+  }
+}
+
+// Push both players' new rating/wins (and the winner's winnings) to the leaderboards.
+// Redis trouble is logged, never allowed to fail the settlement.
+async function updateLeaderboards(match, winnings = null) {
+  try {
+    await leaderboards.updatePlayers([match.whiteDbId, match.blackDbId], match.gameMode);
+    if (winnings) await leaderboards.addWinnings(winnings.userId, winnings.amount, match.gameMode);
+  } catch (e) {
+    console.error(`Leaderboard update failed for ${match.matchId}:`, e);
+  }
+}
+
+// Give each seated player their entry fee back
+const refundCredits = (match, fee, description) => [match.whiteDbId, match.blackDbId]
+  .filter(Boolean)
+  .map(userId => ({ userId, type: 'refund', amount: fee, description }));
+
+// Pay out the escrow, or for a free game (free challenges, tournament pairings) just close the
+// match row. False if it was already done.
+const settleMatch = (match, settlement) => (match.entryFee === 0
+  ? wallet.closeFreeMatch(match.matchId, settlement)
+  : wallet.settleMatchEscrow(match.matchId, settlement));
+
+// Rating change for one side, safe to spread into a game_over payload
+const ratingChangeFor = (changes, color) => (changes ? {
+  rating: changes[color].after,
+  ratingChange: changes[color].after - changes[color].before
+} : {});
+
 async function handleGameOver(match) {
-  if (!match.result || match.result.winner === 'draw') {
-    // Refund on draw
-    if (match.result.reason === 'draw') {
-      const fee = match.entryFee || 10.0; // Default 10 if missing
-      if (match.whiteDbId) {
-        await pool.query('UPDATE users SET wallet_balance = wallet_balance + $1 WHERE id = $2', [fee, match.whiteDbId]);
-        await pool.query('INSERT INTO transactions (id, user_id, amount, type, description) VALUES ($1, $2, $3, $4, $5)',
-          [uuidv4(), match.whiteDbId, fee, 'refund', `Refund: Draw in match ${match.matchId}`]);
-        await pool.query('UPDATE users SET draws = draws + 1 WHERE id = $1', [match.whiteDbId]);
-      }
-      if (match.blackDbId) {
-        await pool.query('UPDATE users SET wallet_balance = wallet_balance + $1 WHERE id = $2', [fee, match.blackDbId]);
-        await pool.query('INSERT INTO transactions (id, user_id, amount, type, description) VALUES ($1, $2, $3, $4, $5)',
-          [uuidv4(), match.blackDbId, fee, 'refund', `Refund: Draw in match ${match.matchId}`]);
-        await pool.query('UPDATE users SET draws = draws + 1 WHERE id = $1', [match.blackDbId]);
-      }
+  if (!match.result) return;
+
+  try {
+    await saveGameRecord(match);
+  } catch (e) {
+    console.error(`Saving game record failed for ${match.matchId}:`, e);
+  }
+
+  if (match.result.reason === 'aborted') {
+    // Full refunds, no stats change
+    const fee = match.entryFee !== undefined ? match.entryFee : 10.0;
+    const settled = await settleMatch(match, {
+      credits: refundCredits(match, fee, `Refund: Aborted match ${match.matchId}`),
+      resultReason: 'aborted',
+      status: 'refunded'
+    });
+    if (!settled) return; // Already handled
 
-      // Update Match DB
-      await pool.query('UPDATE matches SET ended_at = NOW(), result_reason = $1 WHERE id = $2', ['draw', match.matchId]);
+    emitToMatch(match, 'game_over', {
+      ...match.result,
+      winnings: 0,
+      refund: fee,
+      message: 'Game aborted. Entry fee refunded.'
+    });
+    return;
+  }
+
+  await ensureModeStats(match);
+
+  if (match.result.winner === 'draw') {
+    // Refund on any draw (agreement, stalemate, timeout vs insufficient material, ...)
+    const fee = match.entryFee !== undefined ? match.entryFee : 10.0; // Default 10 if missing
+    const settled = await settleMatch(match, {
+      credits: refundCredits(match, fee, `Refund: Draw in match ${match.matchId}`),
+      resultReason: match.result.reason,
+      status: 'refunded'
+    });
+    if (!settled) return; // Already handled
+
+    if (match.whiteDbId) await recordResult(match.whiteDbId, match.gameMode, 'draws');
+    if (match.blackDbId) await recordResult(match.blackDbId, match.gameMode, 'draws');
+
+    const drawChanges = await updateRatings(match, 0.5);
+    await updateLeaderboards(match);
+    await notifyMatchResult(match);
+
+    for (const color of ['white', 'black']) {
+      emitToColor(match, color, 'game_over', {
+        ...match.result,
+        winnings: 0,
+        refund: fee,
+        ...ratingChangeFor(drawChanges, color),
+        message: 'Draw! Entry fee refunded.'
+      });
     }
     return;
   }
@@ -272,67 +582,57 @@ async function handleGameOver(match) {
 
   const entryFee = match.entryFee !== undefined ? match.entryFee : 10.0;
 
-  // Update Stats
-  await pool.query('UPDATE users SET wins = wins + 1, rating = rating + 10 WHERE id = $1', [winnerId]);
-  await pool.query('UPDATE users SET losses = losses + 1, rating = GREATEST(0, rating - 10) WHERE id = $1', [loserId]);
-
   // Financials:
   // 1. Winner gets their Entry Fee back (Refund).
   // 2. Winner gets 70% of Opponent's Fee (Winnings).
   // 3. Company gets 30% of Opponent's Fee.
+  // Split in paise so winnings + rake always equal the escrowed fee exactly.
 
-  const winnings = entryFee * 0.70;
-  const companyCut = entryFee * 0.30;
+  const winnings = wallet.fromCents(Math.round(wallet.toCents(entryFee) * 0.70));
+  const companyCut = wallet.fromCents(wallet.toCents(entryFee) - wallet.toCents(winnings));
 
   // Total added to wallet = EntryFee (Refund) + Winnings
-  const totalReturn = entryFee + winnings;
-
-  // Update Match DB
-  await pool.query('UPDATE matches SET ended_at = NOW(), winner_id = $1, result_reason = $2 WHERE id = $3',
-    [winnerId, match.result.reason, match.matchId]);
-
-  // Update Winner Wallet (Single Update for consistency)
-  await pool.query('UPDATE users SET wallet_balance = wallet_balance + $1 WHERE id = $2', [totalReturn, winnerId]);
-
-  // LOG TRANSACTIONS
-  // Combined Winnings (Entry Fee Refund + Profit)
-  await pool.query('INSERT INTO transactions (id, user_id, amount, type, description) VALUES ($1, $2, $3, $4, $5)',
-    [uuidv4(), winnerId, totalReturn, 'winnings', `Won match ${match.matchId}`]);
+  const totalReturn = wallet.fromCents(wallet.toCents(entryFee) + wallet.toCents(winnings));
+
+  // Payout, rake and match row in one transaction
+  const settled = await settleMatch(match, {
+    credits: [{ userId: winnerId, type: 'winnings', amount: totalReturn, description: `Won match ${match.matchId}` }],
+    rake: { amount: companyCut, description: `30% cut from match ${match.matchId}` },
+    winnerId,
+    resultReason: match.result.reason
+  });
+  if (!settled) return; // Already handled
 
-  // Record Company Earning
-  await pool.query('INSERT INTO company_earnings (id, match_id, amount, description) VALUES ($1, $2, $3, $4)',
-    [uuidv4(), match.matchId, companyCut, `30% cut from match ${match.matchId}`]);
+  // Update Stats
+  await recordResult(winnerId, match.gameMode, 'wins');
+  await recordResult(loserId, match.gameMode, 'losses');
+  const ratingChanges = await updateRatings(match, match.result.winner === 'white' ? 1 : 0);
+  await updateLeaderboards(match, { userId: winnerId, amount: winnings });
+  await notifyMatchResult(match, winnings);
+  const loserColor = opposite(match.result.winner);
 
   console.log(`Match ${match.matchId} End: Winner ${winnerId} (+${winnings}), Company (+${companyCut})`);
 
   // Send game_over with winnings info
-  const winnerPlayerId = match.players[match.result.winner === 'white' ? 'white' : 'black'];
-  const loserPlayerId = match.players[match.result.winner === 'white' ? 'black' : 'white'];
-
-  const winnerPlayer = Array.from(players.values()).find(p => p.playerId === winnerPlayerId);
-  const loserPlayer = Array.from(players.values()).find(p => p.playerId === loserPlayerId);
-
-  if (winnerPlayer) {
-    io.to(winnerPlayer.socketId).emit('game_over', {
-      ...match.result,
-      winnings: winnings,
-      totalReturn: totalReturn,
-      message: `You Won! +₹${winnings.toFixed(2)}`
-    });
-  }
-  if (loserPlayer) {
-    io.to(loserPlayer.socketId).emit('game_over', {
-      ...match.result,
-      winnings: 0,
-      message: 'Better luck next time! Keep learning!'
-    });
-  }
+  emitToColor(match, match.result.winner, 'game_over', {
+    ...match.result,
+    winnings: winnings,
+    totalReturn: totalReturn,
+    ...ratingChangeFor(ratingChanges, match.result.winner),
+    message: `You Won! +₹${winnings.toFixed(2)}`
+  });
+  emitToColor(match, loserColor, 'game_over', {
+    ...match.result,
+    winnings: 0,
+    ...ratingChangeFor(ratingChanges, loserColor),
+    message: 'Better luck next time! Keep learning!'
+  });
 }
 
 
 
 // 2. Wallet: Get Balance & Transactions
-app.get('/api/wallet/:userId', async (req, res) => {
+app.get('/api/wallet/:userId', requireAuth, requireSelf(), async (req, res) => {
   try {
     const userRes = await pool.query('SELECT wallet_balance FROM users WHERE id = $1', [req.params.userId]);
     const transactionsRes = await pool.query('SELECT * FROM transactions WHERE user_id = $1 ORDER BY created_at DESC', [req.params.userId]);
@@ -350,22 +650,57 @@ app.get('/api/wallet/:userId', async (req, res) => {
 });
 
 // 5. User Stats
-app.get('/api/user/:userId/stats', async (req, res) => {
+app.get('/api/user/:userId/stats', requireAuth, requireSelf(), async (req, res) => {
   try {
     const { userId } = req.params;
-    const userRes = await pool.query('SELECT username, rating, wins, losses, draws, wallet_balance, created_at FROM users WHERE id = $1', [userId]);
+    const mode = parseModeFilter(req);
+    if (mode === null) return res.status(400).json({ success: false, message: 'Unknown game mode' });
+
+    const userRes = await pool.query('SELECT username, rating, rating_deviation, wins, losses, draws, wallet_balance, created_at FROM users WHERE id = $1', [userId]);
 
     if (userRes.rows.length === 0) return res.status(404).json({ success: false });
 
+    const modeRes = await pool.query(
+      'SELECT game_mode, rating, rating_deviation, wins, losses, draws FROM user_mode_stats WHERE user_id = $1',
+      [userId]
+    );
+
     const user = userRes.rows[0];
+
+    // With ?mode= the headline numbers are that mode's
+    if (mode) {
+      const row = modeRes.rows.find(m => m.game_mode === mode) ||
+        { rating: glicko2.DEFAULT_RATING, rating_deviation: glicko2.DEFAULT_DEVIATION, wins: 0, losses: 0, draws: 0 };
+      Object.assign(user, {
+        rating: row.rating,
+        rating_deviation: row.rating_deviation,
+        wins: row.wins,
+        losses: row.losses,
+        draws: row.draws
+      });
+    }
+
     const totalGames = user.wins + user.losses + user.draws;
     const winRate = totalGames > 0 ? ((user.wins / totalGames) * 100).toFixed(1) : '0.0';
 
     // Mock data for static sections for now (table driven approach prepared)
+    const deviation = user.rating_deviation !== null ? user.rating_deviation : glicko2.DEFAULT_DEVIATION;
     const stats = {
       ...user,
+      gameMode: mode || null,
+      ratingDeviation: Math.round(deviation),
+      provisional: glicko2.isProvisional(deviation),
       totalGames,
       winRate: `${winRate}%`,
+      modes: Object.fromEntries(modeRes.rows.map(m => [m.game_mode, {
+        rating: m.rating,
+        ratingDeviation: Math.round(m.rating_deviation),
+        provisional: glicko2.isProvisional(m.rating_deviation),
+        wins: m.wins,
+        losses: m.losses,
+        draws: m.draws,
+        totalGames: m.wins + m.losses + m.draws
+      }])),
       achievements: [
         { title: 'First Win', icon: 'trophy', unlocked: user.wins > 0 },
         { title: 'Participant', icon: 'medal', unlocked: totalGames > 0 },
@@ -383,22 +718,43 @@ app.get('/api/user/:userId/stats', async (req, res) => {
   }
 });
 
+// 5b. Rating History (for the profile chart). Overall rating unless ?mode= is given.
+app.get('/api/user/:userId/rating-history', requireAuth, requireSelf(), async (req, res) => {
+  try {
+    const mode = parseModeFilter(req);
+    if (mode === null) return res.status(400).json({ success: false, message: 'Unknown game mode' });
+
+    const result = await pool.query(
+      'SELECT match_id, game_mode, rating_before, rating_after, deviation, created_at FROM rating_history WHERE user_id = $1 AND game_mode IS NOT DISTINCT FROM $2 ORDER BY created_at ASC',
+      [req.params.userId, mode || null]
+    );
+    res.json({ success: true, history: result.rows });
+  } catch (e) {
+    console.error('Rating History Error:', e);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // 6. User Matches History
-app.get('/api/user/:userId/matches', async (req, res) => {
+app.get('/api/user/:userId/matches', requireAuth, requireSelf(), async (req, res) => {
   try {
     const { userId } = req.params;
+    const mode = parseModeFilter(req);
+    if (mode === null) return res.status(400).json({ success: false, message: 'Unknown game mode' });
+
     const query = `
       SELECT 
-        m.id, m.result_reason, m.entry_fee, m.created_at, m.ended_at, m.winner_id,
+        m.id, m.result_reason, m.entry_fee, m.created_at, m.ended_at, m.winner_id, m.game_mode,
         w.username as white_username, b.username as black_username,
         m.white_player_id, m.black_player_id
       FROM matches m
       LEFT JOIN users w ON m.white_player_id = w.id
       LEFT JOIN users b ON m.black_player_id = b.id
-      WHERE m.white_player_id = $1 OR m.black_player_id = $1
+      WHERE (m.white_player_id = $1 OR m.black_player_id = $1)
+        AND ($2::text IS NULL OR m.game_mode = $2)
       ORDER BY m.created_at DESC
     `;
-    const result = await pool.query(query, [userId]);
+    const result = await pool.query(query, [userId, mode || null]);
     res.json({ success: true, matches: result.rows });
   } catch (e) {
     console.error('Matches History Error:', e);
@@ -406,143 +762,637 @@ app.get('/api/user/:userId/matches', async (req, res) => {
   }
 });
 
-// Wallet: Add Cash (Simulation)
-app.post('/api/wallet/add', async (req, res) => {
-  const { userId, amount } = req.body;
-  const client = await pool.connect();
+// --- Deposits ---
+// Money comes in only through the payment gateway: the client creates an order, pays on the
+// gateway's checkout page, and the gateway's signed webhook credits the wallet.
+const DEPOSIT_EXPIRY_INTERVAL_MS = 60000;
+
+const sendPaymentError = (res, e, label) => {
+  if (e instanceof payments.PaymentError) return res.status(400).json({ success: false, message: e.message });
+  console.error(`${label} Error:`, e);
+  res.status(500).json({ success: false, message: 'Server error' });
+};
+
+async function depositCredited({ userId, order }) {
+  console.log(`Deposit ${order.orderId} credited ₹${order.amount} to ${userId}`);
+  emitToUser(userId, 'deposit_completed', { orderId: order.orderId, amount: order.amount });
+  await notifications.notify({
+    userId, template: 'deposit_receipt', data: { amount: order.amount, orderId: order.orderId }, dedupeKey: `deposit_receipt:${order.orderId}`
+  });
+  await rewardReferral(userId, 'first_deposit');
+}
+
+// Body: { amount }. Returns the order with the gateway's checkout details.
+app.post('/api/deposits', requireAuth, async (req, res) => {
   try {
-    await client.query('BEGIN');
-    await client.query('UPDATE users SET wallet_balance = wallet_balance + $1 WHERE id = $2', [amount, userId]);
-    await client.query(
-      'INSERT INTO transactions (id, user_id, type, amount, status) VALUES ($1, $2, $3, $4, $5)',
-      [uuidv4(), userId, 'deposit', amount, 'completed']
-    );
-    await client.query('COMMIT');
-    res.json({ success: true, message: 'Cash added' });
+    const order = await payments.createDepositOrder(req.user.id, req.body.amount);
+    res.json({ success: true, order });
   } catch (e) {
-    await client.query('ROLLBACK');
-    res.status(500).json({ success: false, message: e.message });
-  } finally {
-    client.release();
+    sendPaymentError(res, e, 'Create Deposit');
   }
 });
 
-// 3. Support: Create Ticket
-app.post('/api/support/ticket', async (req, res) => {
-  const { userId, subject, message } = req.body;
+// Poll an order after checkout: pending, completed, failed or expired
+app.get('/api/deposits/:orderId', requireAuth, async (req, res) => {
   try {
-    await pool.query(
-      'INSERT INTO support_tickets (id, user_id, subject, message) VALUES ($1, $2, $3, $4)',
-      [uuidv4(), userId, subject, message]
-    );
-    res.json({ success: true, message: 'Ticket created' });
+    const order = await payments.getDepositOrder(req.user.id, req.params.orderId);
+    if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+    res.json({ success: true, order });
   } catch (e) {
-    res.status(500).json({ success: false });
+    sendPaymentError(res, e, 'Deposit Status');
   }
 });
 
-// 6. Game History
-app.get('/api/user/:userId/matches', async (req, res) => {
+// Gateway callback. No auth: the HMAC signature over the raw body is checked instead.
+// Replays get 200 without crediting again; anything else non-2xx is retried by the gateway.
+app.post('/api/payments/webhook/:provider', async (req, res) => {
   try {
-    const { userId } = req.params;
-    const query = `
-      SELECT 
-        m.id, m.entry_fee, m.result_reason, m.created_at, m.winner_id,
-        u1.username as white_username, 
-        u2.username as black_username
-      FROM matches m
-      LEFT JOIN users u1 ON m.white_player_id = u1.id
-      LEFT JOIN users u2 ON m.black_player_id = u2.id
-      WHERE m.white_player_id = $1 OR m.black_player_id = $1
-      ORDER BY m.created_at DESC
-      LIMIT 50
-    `;
-    const result = await pool.query(query, [userId]);
-    res.json({ success: true, matches: result.rows });
+    const result = await payments.handleWebhook(req.params.provider, req.rawBody, req.headers);
+    if (result.credited) await depositCredited(result);
+    res.json({ success: true });
   } catch (e) {
-    console.error('History API Error:', e);
-    res.status(500).json({ success: false });
+    if (e instanceof payments.PaymentError) console.warn(`Payment webhook rejected (${req.params.provider}): ${e.message}`);
+    sendPaymentError(res, e, 'Payment Webhook');
   }
 });
 
-// 4. Referrals
-app.get('/api/referrals/:userId', async (req, res) => {
+// Fake gateway checkout, for development. Body: { outcome: 'paid' | 'failed', amount? } (amount
+// overrides what the "gateway" reports, to try a mismatch). Goes through the webhook handler.
+// (getProvider has no fake provider in production)
+if (payments.PAYMENT_PROVIDER === 'fake' && getProvider('fake')) {
+  app.post('/api/payments/fake/:orderId', requireAuth, async (req, res) => {
+    try {
+      const order = await payments.findOrder(req.params.orderId);
+      if (!order || order.user_id !== req.user.id) return res.status(404).json({ success: false, message: 'Order not found' });
+
+      const { rawBody, headers } = getProvider('fake').simulateWebhook({
+        orderId: order.reference_id,
+        providerOrderId: order.provider_order_id,
+        amountCents: wallet.toCents(req.body.amount !== undefined ? req.body.amount : order.amount),
+        currency: payments.CURRENCY
+      }, req.body.outcome === 'failed' ? 'failed' : 'paid');
+      const result = await payments.handleWebhook('fake', rawBody, headers);
+      if (result.credited) await depositCredited(result);
+      res.json({ success: true, order: result.order });
+    } catch (e) {
+      sendPaymentError(res, e, 'Fake Checkout');
+    }
+  });
+}
+
+async function expireDeposits() {
+  const expired = await payments.expireOrders();
+  if (expired > 0) console.log(`Expired ${expired} unpaid deposit order(s)`);
+}
+
+// Wallet: Reconciliation (admin). Every wallet_balance must equal the signed sum of its transactions.
+app.get('/api/admin/wallet/reconcile', requireAuth, requireAdmin, async (req, res) => {
   try {
-    const refs = await pool.query('SELECT * FROM referrals WHERE referrer_id = $1', [req.params.userId]);
-    res.json({ success: true, count: refs.rows.length, referrals: refs.rows });
+    const mismatches = await wallet.findWalletMismatches(req.query.userId || null);
+    await audit.logAdminAction({ adminId: req.user.id, action: 'wallet.reconcile', targetType: req.query.userId ? 'user' : null, targetId: req.query.userId || null });
+    const escrowRes = await pool.query(
+      "SELECT COUNT(*)::int AS count, COALESCE(SUM(escrow_amount), 0) AS total FROM matches WHERE escrow_status = 'held'"
+    );
+    // Finished games whose payout failed and is waiting for recovery to retry it (see endMatch)
+    const pendingSettlement = (await gameStore.loadMatches(await gameStore.listActiveMatchIds()))
+      .filter(m => m.status !== 'active')
+      .map(m => m.matchId);
+    res.json({
+      success: true,
+      balanced: mismatches.length === 0,
+      mismatches,
+      heldEscrow: { matches: escrowRes.rows[0].count, amount: parseFloat(escrowRes.rows[0].total) },
+      pendingSettlement
+    });
   } catch (e) {
-    res.status(500).json({ success: false });
+    console.error('Reconcile Error:', e);
+    res.status(500).json({ success: false, message: 'Server error' });
   }
 });
 
-// --- KYC Feature ---
-const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
+// --- Withdrawals ---
+// Users pay out to a saved UPI ID or bank account once their KYC is verified. The amount is held
+// (debited) on request and returned if the request is cancelled or rejected.
 
-// Ensure uploads directory exists
-const uploadDir = path.join(__dirname, 'uploads/kyc');
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
-}
+const sendWithdrawalError = (res, e, label) => {
+  if (e instanceof withdrawals.WithdrawalError) return res.status(400).json({ success: false, message: e.message });
+  console.error(`${label} Error:`, e);
+  res.status(500).json({ success: false, message: 'Server error' });
+};
 
-// Serve uploaded files statically
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Payout methods (bank account numbers are masked)
+app.get('/api/payout-methods', requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, methods: await withdrawals.listPayoutMethods(req.user.id) });
+  } catch (e) {
+    sendWithdrawalError(res, e, 'Payout Methods');
+  }
+});
 
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, uploadDir);
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+// Body: { type: 'upi', upiId } or { type: 'bank', accountHolder, accountNumber, ifsc }
+app.post('/api/payout-methods', requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, method: await withdrawals.addPayoutMethod(req.user.id, req.body) });
+  } catch (e) {
+    sendWithdrawalError(res, e, 'Add Payout Method');
   }
 });
 
-const upload = multer({
-  storage: storage,
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf') {
-      cb(null, true);
-    } else {
-      cb(new Error('Only images and PDFs are allowed'));
+app.delete('/api/payout-methods/:id', requireAuth, async (req, res) => {
+  try {
+    if (!(await withdrawals.removePayoutMethod(req.user.id, req.params.id))) {
+      return res.status(404).json({ success: false, message: 'Payout method not found' });
     }
+    res.json({ success: true });
+  } catch (e) {
+    sendWithdrawalError(res, e, 'Remove Payout Method');
   }
 });
 
-// A. Check KYC Status
-app.get('/api/kyc/status/:userId', async (req, res) => {
+// History plus what can be withdrawn now and the limits that apply
+app.get('/api/withdrawals', requireAuth, async (req, res) => {
   try {
-    const { userId } = req.params;
-    const result = await pool.query('SELECT * FROM users_kyc WHERE user_id = $1', [userId]);
+    const [summary, history] = await Promise.all([
+      withdrawals.getWithdrawalSummary(req.user.id),
+      withdrawals.listWithdrawals(req.user.id)
+    ]);
+    res.json({ success: true, ...summary, withdrawals: history });
+  } catch (e) {
+    sendWithdrawalError(res, e, 'Withdrawals');
+  }
+});
 
-    if (result.rows.length === 0) {
-      return res.json({ success: true, status: 'not_submitted' });
-    }
+// Body: { amount, payoutMethodId }
+app.post('/api/withdrawals', requireAuth, async (req, res) => {
+  try {
+    const withdrawal = await withdrawals.requestWithdrawal(req.user.id, {
+      amount: parseFloat(req.body.amount),
+      payoutMethodId: req.body.payoutMethodId
+    });
+    await notifications.notify({
+      userId: req.user.id,
+      template: 'withdrawal_requested',
+      data: { amount: parseFloat(withdrawal.amount), destination: withdrawal.destination, withdrawalId: withdrawal.id }
+    });
+    res.json({ success: true, withdrawal, message: 'Withdrawal requested' });
+  } catch (e) {
+    sendWithdrawalError(res, e, 'Withdrawal Request');
+  }
+});
 
-    res.json({ success: true, status: result.rows[0].status, details: result.rows[0] });
+app.post('/api/withdrawals/:id/cancel', requireAuth, async (req, res) => {
+  try {
+    const withdrawal = await withdrawals.cancelWithdrawal(req.user.id, req.params.id);
+    res.json({ success: true, withdrawal, message: `Cancelled. ₹${parseFloat(withdrawal.amount)} returned to your wallet.` });
   } catch (e) {
-    console.error('KYC Status Error:', e);
-    res.status(500).json({ success: false, message: 'Server error' });
+    sendWithdrawalError(res, e, 'Withdrawal Cancel');
   }
 });
 
-// B. Submit KYC
-app.post('/api/kyc/submit', upload.fields([{ name: 'idProof', maxCount: 1 }, { name: 'selfie', maxCount: 1 }]), async (req, res) => {
+// Admin: review queue (?status=pending|approved|paid|rejected|cancelled)
+app.get('/api/admin/withdrawals', requireAuth, requireAdmin, async (req, res) => {
   try {
-    const { userId, fullName, panNumber } = req.body;
+    res.json({ success: true, withdrawals: await withdrawals.listForReview(req.query.status || 'pending') });
+  } catch (e) {
+    sendWithdrawalError(res, e, 'Admin Withdrawals');
+  }
+});
 
-    if (!req.files || !req.files.idProof || !req.files.selfie) {
-      return res.status(400).json({ success: false, message: 'Both ID Proof and Selfie are required' });
-    }
+app.post('/api/admin/withdrawals/:id/approve', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const withdrawal = await withdrawals.approveWithdrawal(req.user.id, req.params.id);
+    res.json({ success: true, withdrawal });
+  } catch (e) {
+    sendWithdrawalError(res, e, 'Withdrawal Approve');
+  }
+});
 
-    const idProofPath = '/uploads/kyc/' + req.files.idProof[0].filename;
-    const selfiePath = '/uploads/kyc/' + req.files.selfie[0].filename;
+// Body: { reason }. Works on pending or approved (not yet paid) requests; the amount is refunded.
+app.post('/api/admin/withdrawals/:id/reject', requireAuth, requireAdmin, async (req, res) => {
+  const reason = (req.body.reason || '').trim();
+  if (!reason) return res.status(400).json({ success: false, message: 'A reason is required to reject' });
+  try {
+    const withdrawal = await withdrawals.rejectWithdrawal(req.user.id, req.params.id, reason);
+    await notifications.notify({ userId: withdrawal.user_id, template: 'withdrawal_rejected', data: { amount: parseFloat(withdrawal.amount), reason } });
+    res.json({ success: true, withdrawal });
+  } catch (e) {
+    sendWithdrawalError(res, e, 'Withdrawal Reject');
+  }
+});
 
-    // specific status 'pending'
-    const query = `
-      INSERT INTO users_kyc (id, user_id, full_name, pan_number, id_proof_url, selfie_url, status)
+// Body: { payoutReference } (UTR of the transfer). Only after approval.
+app.post('/api/admin/withdrawals/:id/paid', requireAuth, requireAdmin, async (req, res) => {
+  const payoutReference = (req.body.payoutReference || '').trim();
+  if (!payoutReference) return res.status(400).json({ success: false, message: 'Payout reference is required' });
+  try {
+    const withdrawal = await withdrawals.markWithdrawalPaid(req.user.id, req.params.id, payoutReference);
+    await notifications.notify({ userId: withdrawal.user_id, template: 'withdrawal_paid', data: { amount: parseFloat(withdrawal.amount), payoutReference } });
+    res.json({ success: true, withdrawal });
+  } catch (e) {
+    sendWithdrawalError(res, e, 'Withdrawal Paid');
+  }
+});
+
+// 3. Support: tickets with a reply thread. Users see their own; admins assign, reply and set status.
+const sendSupportError = (res, e, label) => {
+  if (e instanceof support.SupportError) return res.status(400).json({ success: false, message: e.message });
+  console.error(`${label} Error:`, e);
+  res.status(500).json({ success: false, message: 'Server error' });
+};
+
+// Body: { subject, message, matchId?, transactionId? } (links for disputes)
+app.post('/api/support/ticket', requireAuth, async (req, res) => {
+  const { subject, message, matchId, transactionId } = req.body;
+  try {
+    const ticket = await support.createTicket(req.user.id, { subject, message, matchId: matchId || null, transactionId: transactionId || null });
+    res.json({ success: true, ticket, message: 'Ticket created' });
+  } catch (e) {
+    sendSupportError(res, e, 'Support Ticket');
+  }
+});
+
+app.get('/api/support/tickets', requireAuth, async (req, res) => {
+  try {
+    res.json({ success: true, tickets: await support.listUserTickets(req.user.id) });
+  } catch (e) {
+    sendSupportError(res, e, 'Support Tickets');
+  }
+});
+
+// Own tickets only (admins use the admin routes)
+const loadOwnTicket = async (req, res) => {
+  const ticket = await support.getTicket(req.params.id);
+  if (!ticket || ticket.user_id !== req.user.id) {
+    res.status(404).json({ success: false, message: 'Ticket not found' });
+    return null;
+  }
+  return ticket;
+};
+
+const loadAnyTicket = async (req, res) => {
+  const ticket = await support.getTicket(req.params.id);
+  if (!ticket) res.status(404).json({ success: false, message: 'Ticket not found' });
+  return ticket;
+};
+
+app.get('/api/support/tickets/:id', requireAuth, async (req, res) => {
+  try {
+    const ticket = await loadOwnTicket(req, res);
+    if (!ticket) return;
+    res.json({ success: true, ticket, messages: await support.getThread(ticket) });
+  } catch (e) {
+    sendSupportError(res, e, 'Support Ticket');
+  }
+});
+
+// Body: { message }. Lets the assigned admin know by email.
+app.post('/api/support/tickets/:id/reply', requireAuth, async (req, res) => {
+  try {
+    const ticket = await loadOwnTicket(req, res);
+    if (!ticket) return;
+    const { reply, status } = await support.addReply(ticket, req.user.id, req.body.message, false);
+
+    if (ticket.assigned_to) {
+      await notifications.notify({
+        userId: ticket.assigned_to, template: 'support_user_reply', data: { subject: ticket.subject, author: ticket.username, message: reply.message }
+      });
+    }
+    res.json({ success: true, reply, status });
+  } catch (e) {
+    sendSupportError(res, e, 'Support Reply');
+  }
+});
+
+// Admin: ?status=open|in_progress|resolved&assignedTo=<adminId>|me
+app.get('/api/admin/support/tickets', requireAuth, requireAdmin, async (req, res) => {
+  const status = req.query.status || null;
+  const assignedTo = req.query.assignedTo === 'me' ? req.user.id : (req.query.assignedTo || null);
+  if (status && !support.TICKET_STATUSES.includes(status)) return res.status(400).json({ success: false, message: 'Unknown status' });
+  if (assignedTo && !support.UUID_PATTERN.test(assignedTo)) return res.status(400).json({ success: false, message: 'Invalid assignee' });
+  try {
+    res.json({ success: true, tickets: await support.listTickets({ status, assignedTo }) });
+  } catch (e) {
+    sendSupportError(res, e, 'Admin Support Tickets');
+  }
+});
+
+app.get('/api/admin/support/tickets/:id', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const ticket = await loadAnyTicket(req, res);
+    if (!ticket) return;
+    // Disputes about a game come with its full chat log, blocked messages included
+    const chatLog = ticket.match_id ? await chat.getLog(ticket.match_id) : null;
+    res.json({ success: true, ticket, messages: await support.getThread(ticket), chat: chatLog });
+  } catch (e) {
+    sendSupportError(res, e, 'Admin Support Ticket');
+  }
+});
+
+// Body: { message }. The user is emailed the reply.
+app.post('/api/admin/support/tickets/:id/reply', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const ticket = await loadAnyTicket(req, res);
+    if (!ticket) return;
+    const { reply, status } = await support.addReply(ticket, req.user.id, req.body.message, true);
+    await notifications.notify({ userId: ticket.user_id, template: 'support_reply', data: { subject: ticket.subject, message: reply.message } });
+    res.json({ success: true, reply, status });
+  } catch (e) {
+    sendSupportError(res, e, 'Admin Support Reply');
+  }
+});
+
+// Body: { adminId } (defaults to yourself, null unassigns)
+app.post('/api/admin/support/tickets/:id/assign', requireAuth, requireAdmin, async (req, res) => {
+  const assigneeId = req.body.adminId === undefined ? req.user.id : req.body.adminId;
+  if (assigneeId && !support.UUID_PATTERN.test(assigneeId)) return res.status(400).json({ success: false, message: 'Invalid assignee' });
+  try {
+    const ticket = await loadAnyTicket(req, res);
+    if (!ticket) return;
+    await support.assignTicket(req.user.id, ticket, assigneeId);
+    res.json({ success: true, assignedTo: assigneeId });
+  } catch (e) {
+    sendSupportError(res, e, 'Support Assign');
+  }
+});
+
+// Body: { status }. The user is emailed when their ticket is resolved.
+app.post('/api/admin/support/tickets/:id/status', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const ticket = await loadAnyTicket(req, res);
+    if (!ticket) return;
+    await support.setTicketStatus(req.user.id, ticket, req.body.status);
+    if (req.body.status === 'resolved' && ticket.status !== 'resolved') {
+      await notifications.notify({ userId: ticket.user_id, template: 'support_resolved', data: { subject: ticket.subject } });
+    }
+    res.json({ success: true, status: req.body.status });
+  } catch (e) {
+    sendSupportError(res, e, 'Support Status');
+  }
+});
+
+// Leaderboards: ?metric=rating|wins|winnings&mode=&period=weekly|monthly (winnings only)
+const parseLeaderboardQuery = (req) => {
+  const metric = req.query.metric || 'rating';
+  if (!leaderboards.METRICS.includes(metric)) return { error: 'Metric must be rating, wins or winnings' };
+  const mode = parseModeFilter(req);
+  if (mode === null) return { error: 'Unknown game mode' };
+  const period = metric === 'winnings' ? (req.query.period || 'weekly') : null;
+  if (period && !leaderboards.PERIODS.includes(period)) return { error: 'Period must be weekly or monthly' };
+  return { metric, scope: mode || leaderboards.OVERALL, period };
+};
+
+const LEADERBOARD_REBUILD_LOCK_MS = 60000;
+
+// Repopulate the boards from Postgres unless another instance is already doing it
+const rebuildLeaderboards = () => gameStore.withLock('leaderboard_rebuild', LEADERBOARD_REBUILD_LOCK_MS, async () => {
+  await leaderboards.rebuild(PLAYABLE_MODES);
+  console.log('Leaderboards rebuilt from Postgres');
+});
+
+// A flushed Redis is noticed on the next read and rebuilt in the background
+const ensureLeaderboards = async () => {
+  if (await leaderboards.isBuilt()) return;
+  rebuildLeaderboards().catch(e => console.error('Leaderboard rebuild failed:', e));
+};
+
+// Paginated: ?page=1&limit=50 (max 100)
+app.get('/api/leaderboard', requireAuth, async (req, res) => {
+  const query = parseLeaderboardQuery(req);
+  if (query.error) return res.status(400).json({ success: false, message: query.error });
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 100);
+  try {
+    await ensureLeaderboards();
+    const { entries, total } = await leaderboards.getPage({ ...query, page, limit });
+    res.json({ success: true, ...query, page, limit, total, entries });
+  } catch (e) {
+    console.error('Leaderboard Error:', e);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// My rank on a board (same query params)
+app.get('/api/leaderboard/me', requireAuth, async (req, res) => {
+  const query = parseLeaderboardQuery(req);
+  if (query.error) return res.status(400).json({ success: false, message: query.error });
+  try {
+    await ensureLeaderboards();
+    res.json({ success: true, ...query, ...(await leaderboards.getRank(req.user.id, query)) });
+  } catch (e) {
+    console.error('Leaderboard Rank Error:', e);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Admin: force a rebuild from Postgres
+app.post('/api/admin/leaderboard/rebuild', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const ran = await rebuildLeaderboards();
+    if (!ran) return res.status(409).json({ success: false, message: 'A rebuild is already running' });
+    await audit.logAdminAction({ adminId: req.user.id, action: 'leaderboard.rebuild' });
+    res.json({ success: true, message: 'Leaderboards rebuilt' });
+  } catch (e) {
+    console.error('Leaderboard Rebuild Error:', e);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// 7. Live Games (spectator lobby). Declared before /api/matches/:id so 'live' isn't read as an id.
+app.get('/api/matches/live', requireAuth, async (req, res) => {
+  try {
+    const mode = parseModeFilter(req);
+    if (mode === null) return res.status(400).json({ success: false, message: 'Unknown game mode' });
+
+    const snapshots = (await gameStore.loadMatches(await gameStore.listActiveMatchIds()))
+      .filter(m => m.status === 'active' && !m.practice && (!mode || m.gameMode === mode));
+    const spectators = await gameStore.countSpectators(snapshots.map(m => m.matchId));
+
+    // Mode ratings, one query per mode in play
+    const ratings = {};
+    for (const gameMode of new Set(snapshots.map(m => m.gameMode))) {
+      const userIds = snapshots.filter(m => m.gameMode === gameMode).flatMap(m => [m.whiteDbId, m.blackDbId]);
+      ratings[gameMode] = await loadRatings(userIds, gameMode);
+    }
+
+    const seat = (m, color) => {
+      const userId = color === 'white' ? m.whiteDbId : m.blackDbId;
+      return { id: userId, username: m.usernames[color], rating: Math.round(ratings[m.gameMode][userId].rating) };
+    };
+
+    res.json({
+      success: true,
+      matches: snapshots
+        .sort((a, b) => b.entryFee - a.entryFee || a.startedAt - b.startedAt)
+        .map(m => ({
+          matchId: m.matchId,
+          white: seat(m, 'white'),
+          black: seat(m, 'black'),
+          gameMode: m.gameMode,
+          timeControl: m.timeControl ? m.timeControl.name : null,
+          stake: m.entryFee,
+          moves: m.moveLog.length,
+          startedAt: new Date(m.startedAt).toISOString(),
+          spectators: spectators[m.matchId],
+          delayMs: spectatorDelayFor(m.entryFee)
+        }))
+    });
+  } catch (e) {
+    console.error('Live Matches Error:', e);
+    res.status(500).json({ success: false });
+  }
+});
+
+// 8. Match Detail & PGN Export (participants only)
+const getMatchForUser = async (matchId, userId) => {
+  const result = await pool.query(`
+    SELECT
+      m.id, m.result_reason, m.entry_fee, m.created_at, m.ended_at, m.winner_id,
+      m.white_player_id, m.black_player_id, m.pgn, m.moves,
+      w.username as white_username, b.username as black_username
+    FROM matches m
+    LEFT JOIN users w ON m.white_player_id = w.id
+    LEFT JOIN users b ON m.black_player_id = b.id
+    WHERE m.id = $1
+  `, [matchId]);
+  const match = result.rows[0];
+  if (!match || (match.white_player_id !== userId && match.black_player_id !== userId)) return null;
+  return match;
+};
+
+const sendPgn = (res, filename, pgn) => {
+  res.setHeader('Content-Type', 'application/x-chess-pgn');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(pgn);
+};
+
+app.get('/api/matches/:id', requireAuth, async (req, res) => {
+  try {
+    const match = await getMatchForUser(req.params.id, req.user.id);
+    if (!match) return res.status(404).json({ success: false, message: 'Match not found' });
+    res.json({ success: true, match: { ...match, moves: match.moves || [] } });
+  } catch (e) {
+    console.error('Match Detail Error:', e);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+app.get('/api/matches/:id/pgn', requireAuth, async (req, res) => {
+  try {
+    const match = await getMatchForUser(req.params.id, req.user.id);
+    if (!match) return res.status(404).json({ success: false, message: 'Match not found' });
+    if (!match.pgn) return res.status(404).json({ success: false, message: 'PGN not available yet' });
+    sendPgn(res, `match-${match.id}.pgn`, match.pgn);
+  } catch (e) {
+    console.error('PGN Export Error:', e);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Whole history as one multi-game PGN file
+app.get('/api/user/:userId/matches/pgn', requireAuth, requireSelf(), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT pgn FROM matches
+      WHERE (white_player_id = $1 OR black_player_id = $1) AND pgn IS NOT NULL
+      ORDER BY created_at ASC
+    `, [req.params.userId]);
+    sendPgn(res, `${req.user.username}-games.pgn`, result.rows.map(r => r.pgn.trim()).join('\n\n') + '\n');
+  } catch (e) {
+    console.error('PGN Bulk Export Error:', e);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// 4. Referrals: own code, bonus terms and referred users
+app.get('/api/referrals/:userId', requireAuth, requireSelf(), async (req, res) => {
+  try {
+    const summary = await referrals.getReferralSummary(req.params.userId);
+    res.json({ success: true, ...summary });
+  } catch (e) {
+    console.error('Referrals Error:', e);
+    res.status(500).json({ success: false });
+  }
+});
+
+// --- KYC Feature ---
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+
+// Ensure uploads directory exists
+const uploadDir = path.join(__dirname, 'uploads/kyc');
+if (!fs.existsSync(uploadDir)) {
+  fs.mkdirSync(uploadDir, { recursive: true });
+}
+
+// Uploaded documents are NOT served statically; see /api/kyc/documents below
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    cb(null, uploadDir);
+  },
+  filename: function (req, file, cb) {
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
+const upload = multer({
+  storage: storage,
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/') || file.mimetype === 'application/pdf') {
+      cb(null, true);
+    } else {
+      cb(new Error('Only images and PDFs are allowed'));
+    }
+  }
+});
+
+const KYC_DOCUMENTS = { idProof: 'id_proof_url', selfie: 'selfie_url' };
+
+// Stored paths look like /uploads/kyc/<file>; only the file name is used to find it on disk
+const kycDocumentFile = (storedPath) => path.join(uploadDir, path.basename(storedPath));
+
+// Swap the stored paths for the authorized document URLs
+const withKycDocumentUrls = (row) => ({
+  ...row,
+  id_proof_url: `/api/kyc/documents/${row.user_id}/idProof`,
+  selfie_url: `/api/kyc/documents/${row.user_id}/selfie`
+});
+
+// A. Check KYC Status
+app.get('/api/kyc/status/:userId', requireAuth, requireSelf(), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const result = await pool.query('SELECT * FROM users_kyc WHERE user_id = $1', [userId]);
+
+    if (result.rows.length === 0) {
+      return res.json({ success: true, status: 'not_submitted' });
+    }
+
+    res.json({ success: true, status: result.rows[0].status, details: withKycDocumentUrls(result.rows[0]) });
+  } catch (e) {
+    console.error('KYC Status Error:', e);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// B. Submit KYC
+app.post('/api/kyc/submit', requireAuth, upload.fields([{ name: 'idProof', maxCount: 1 }, { name: 'selfie', maxCount: 1 }]), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { fullName, panNumber } = req.body;
+
+    if (!req.files || !req.files.idProof || !req.files.selfie) {
+      return res.status(400).json({ success: false, message: 'Both ID Proof and Selfie are required' });
+    }
+
+    const idProofPath = '/uploads/kyc/' + req.files.idProof[0].filename;
+    const selfiePath = '/uploads/kyc/' + req.files.selfie[0].filename;
+
+    // specific status 'pending'
+    const query = `
+      INSERT INTO users_kyc (id, user_id, full_name, pan_number, id_proof_url, selfie_url, status)
       VALUES ($1, $2, $3, $4, $5, $6, 'pending')
       ON CONFLICT (user_id) 
       DO UPDATE SET 
@@ -551,6 +1401,9 @@ app.post('/api/kyc/submit', upload.fields([{ name: 'idProof', maxCount: 1 }, { n
         id_proof_url = EXCLUDED.id_proof_url,
         selfie_url = EXCLUDED.selfie_url,
         status = 'pending',
+        rejection_reason = NULL,
+        verified_at = NULL,
+        reviewed_by = NULL,
         submitted_at = CURRENT_TIMESTAMP
     `;
 
@@ -563,302 +1416,2003 @@ app.post('/api/kyc/submit', upload.fields([{ name: 'idProof', maxCount: 1 }, { n
   }
 });
 
+// C. View a KYC document (the owner, or an admin; admin views are audited)
+app.get('/api/kyc/documents/:userId/:document', requireAuth, requireSelfOrAdmin(), async (req, res) => {
+  const { userId, document } = req.params;
+  const column = KYC_DOCUMENTS[document];
+  if (!column) return res.status(404).json({ success: false, message: 'Unknown document' });
+
+  try {
+    const result = await pool.query(`SELECT ${column} AS stored_path FROM users_kyc WHERE user_id = $1`, [userId]);
+    const storedPath = result.rows[0] && result.rows[0].stored_path;
+    if (!storedPath || !fs.existsSync(kycDocumentFile(storedPath))) {
+      return res.status(404).json({ success: false, message: 'Document not found' });
+    }
+
+    if (userId !== req.user.id) {
+      await audit.logAdminAction({ adminId: req.user.id, action: 'kyc.view_document', targetType: 'user', targetId: userId, details: { document } });
+    }
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.sendFile(kycDocumentFile(storedPath));
+  } catch (e) {
+    console.error('KYC Document Error:', e);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// D. Admin: KYC submissions, oldest first (?status=pending by default)
+app.get('/api/admin/kyc', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    const result = await pool.query(`
+      SELECT k.*, u.username, u.email
+      FROM users_kyc k
+      JOIN users u ON u.id = k.user_id
+      WHERE k.status = $1
+      ORDER BY k.submitted_at ASC
+    `, [status]);
+
+    await audit.logAdminAction({ adminId: req.user.id, action: 'kyc.list', details: { status } });
+    res.json({ success: true, submissions: result.rows.map(withKycDocumentUrls) });
+  } catch (e) {
+    console.error('KYC List Error:', e);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// E. Admin: one submission with its review history
+app.get('/api/admin/kyc/:userId', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const result = await pool.query(`
+      SELECT k.*, u.username, u.email
+      FROM users_kyc k
+      JOIN users u ON u.id = k.user_id
+      WHERE k.user_id = $1
+    `, [userId]);
+    if (result.rows.length === 0) return res.status(404).json({ success: false, message: 'No KYC submission for this user' });
+
+    const history = await audit.listAdminActions({ targetId: userId });
+    await audit.logAdminAction({ adminId: req.user.id, action: 'kyc.view', targetType: 'user', targetId: userId });
+    res.json({ success: true, submission: withKycDocumentUrls(result.rows[0]), history });
+  } catch (e) {
+    console.error('KYC Detail Error:', e);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// Approve ('verified') or reject a pending submission. The decision and its audit entry
+// are written together; the user is emailed afterwards.
+const reviewKyc = (decision) => async (req, res) => {
+  const { userId } = req.params;
+  const reason = (req.body.reason || '').trim();
+  if (decision === 'rejected' && !reason) {
+    return res.status(400).json({ success: false, message: 'A rejection reason is required' });
+  }
+
+  try {
+    const reviewed = await wallet.withTransaction(async (client) => {
+      const result = await client.query(`
+        UPDATE users_kyc
+        SET status = $1::text,
+            rejection_reason = $2,
+            verified_at = CASE WHEN $1::text = 'verified' THEN CURRENT_TIMESTAMP ELSE NULL END,
+            reviewed_by = $3
+        WHERE user_id = $4 AND status = 'pending'
+        RETURNING *
+      `, [decision, decision === 'rejected' ? reason : null, req.user.id, userId]);
+      if (result.rowCount === 0) return null;
+
+      await audit.logAdminAction({
+        adminId: req.user.id,
+        action: decision === 'verified' ? 'kyc.approve' : 'kyc.reject',
+        targetType: 'user',
+        targetId: userId,
+        details: decision === 'rejected' ? { reason } : null
+      }, client);
+      await notifications.notify(decision === 'verified'
+        ? { userId, template: 'kyc_verified' }
+        : { userId, template: 'kyc_rejected', data: { reason } }, client);
+      return result.rows[0];
+    });
+    if (!reviewed) return res.status(400).json({ success: false, message: 'No pending KYC submission for this user' });
+
+    res.json({ success: true, status: reviewed.status, message: decision === 'verified' ? 'KYC approved' : 'KYC rejected' });
+  } catch (e) {
+    console.error('KYC Review Error:', e);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+};
+
+// F. Admin: approve / reject (body: { reason }, required to reject)
+app.post('/api/admin/kyc/:userId/approve', requireAuth, requireAdmin, reviewKyc('verified'));
+app.post('/api/admin/kyc/:userId/reject', requireAuth, requireAdmin, reviewKyc('rejected'));
+
+// Admin audit trail (?adminId=&action=&targetId=&limit=)
+app.get('/api/admin/audit-log', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const entries = await audit.listAdminActions({
+      adminId: req.query.adminId || null,
+      action: req.query.action || null,
+      targetId: req.query.targetId || null,
+      limit: Math.min(parseInt(req.query.limit, 10) || 100, 500)
+    });
+    res.json({ success: true, entries });
+  } catch (e) {
+    console.error('Audit Log Error:', e);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// --- Fair Play (admin) ---
+const sendFairPlayError = (res, e, label) => {
+  if (e instanceof fairPlay.FairPlayError) return res.status(400).json({ success: false, message: e.message });
+  console.error(`${label} Error:`, e);
+  res.status(500).json({ success: false, message: 'Server error' });
+};
+
+// Review queue: ?status=pending|cleared|confirmed, highest score first
+app.get('/api/admin/fair-play/reviews', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    res.json({ success: true, reviews: await fairPlay.listReviews(req.query.status || 'pending') });
+  } catch (e) {
+    sendFairPlayError(res, e, 'Fair Play Reviews');
+  }
+});
+
+// One account: review state, flags with their evidence, most frequent paid opponents
+app.get('/api/admin/fair-play/users/:userId', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const report = await fairPlay.getAccountReport(req.params.userId);
+    if (!report) return res.status(404).json({ success: false, message: 'User not found' });
+    await audit.logAdminAction({ adminId: req.user.id, action: 'fair_play.view', targetType: 'user', targetId: req.params.userId });
+    res.json({ success: true, ...report });
+  } catch (e) {
+    sendFairPlayError(res, e, 'Fair Play Report');
+  }
+});
+
+// Body: { reason }. New and pending withdrawals are held until unfrozen.
+app.post('/api/admin/fair-play/users/:userId/freeze', requireAuth, requireAdmin, async (req, res) => {
+  const reason = (req.body.reason || '').trim();
+  if (!reason) return res.status(400).json({ success: false, message: 'A reason is required to freeze withdrawals' });
+  try {
+    await fairPlay.setWithdrawalsFrozen(req.user.id, req.params.userId, true, reason);
+    res.json({ success: true, withdrawalsFrozen: true });
+  } catch (e) {
+    sendFairPlayError(res, e, 'Fair Play Freeze');
+  }
+});
+
+app.post('/api/admin/fair-play/users/:userId/unfreeze', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    await fairPlay.setWithdrawalsFrozen(req.user.id, req.params.userId, false);
+    res.json({ success: true, withdrawalsFrozen: false });
+  } catch (e) {
+    sendFairPlayError(res, e, 'Fair Play Unfreeze');
+  }
+});
+
+// Body: { decision: 'cleared' | 'confirmed', notes }. Freezing is separate.
+app.post('/api/admin/fair-play/users/:userId/review', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const review = await fairPlay.decideReview(req.user.id, req.params.userId, req.body.decision, req.body.notes || null);
+    res.json({ success: true, review });
+  } catch (e) {
+    sendFairPlayError(res, e, 'Fair Play Review');
+  }
+});
+
 // --- Socket.IO Game Logic ---
 
+// Matches owned by this instance (live Chess objects and timers). Every instance also
+// mirrors them to Redis, see gameStore.js.
 const matches = new Map();
-const players = new Map(); // socketId -> Player
-// Queues per game mode: 'BULLET', 'BLITZ', 'RAPID', etc.
-const queues = {
-  'BULLET': [],
-  'BLITZ': [],
-  'RAPID': [],
-  'CLASSICAL': [],
-  'TOURNAMENT': []
-};
+const players = new Map(); // socketId -> Player, for sockets connected to this instance
 
 class Player {
-  constructor(playerId, socketId, dbId = null, username = 'Guest') {
-    this.playerId = playerId;
+  constructor(socketId, dbId, username = 'Guest') {
     this.socketId = socketId;
     this.dbId = dbId;
     this.username = username;
-    this.color = null;
-    this.currentGameId = null;
   }
 }
 
 class Match {
-  constructor(matchId, whitePlayerId, blackPlayerId, whiteDbId, blackDbId, gameMode, entryFee) {
+  // timeControl: see timeControls.js; its gameMode is the rating pool
+  constructor(matchId, whiteDbId, blackDbId, timeControl, entryFee, rated = true) {
     this.matchId = matchId;
-    this.players = { white: whitePlayerId, black: blackPlayerId };
     this.whiteDbId = whiteDbId;
     this.blackDbId = blackDbId;
-    this.gameMode = gameMode;
+    this.timeControl = timeControl;
+    this.gameMode = timeControl.gameMode;
     this.entryFee = entryFee; // Stored here for game over calculation
+    this.rated = rated; // Takebacks are only allowed in unrated games
+
+    // Pending in-game requests: the color that made them, or null
+    this.drawOffer = null;
+    this.takebackRequest = null;
 
     this.chess = new Chess();
     this.fen = this.chess.fen();
     this.turn = 'white';
     this.status = 'active';
 
-    // Time controls (in ms)
-    let timeMs = 60000; // Default Bullet
-    if (gameMode === 'BLITZ') timeMs = 180000;
-    else if (gameMode === 'RAPID') timeMs = 300000;
-    else if (gameMode === 'CLASSICAL') timeMs = 600000;
-
-    this.clock = { whiteMs: timeMs, blackMs: timeMs, lastMoveTs: Date.now() };
+    this.initialMs = timeControl.initialMs;
+    this.clock = { whiteMs: this.initialMs, blackMs: this.initialMs, lastMoveTs: Date.now() };
     this.result = null;
+    this.startedAt = Date.now();
+
+    // One entry per ply: SAN, resulting FEN and both clocks after the move
+    this.moveLog = [];
+
+    // Server-side timers (see startMatchClock / handlePlayerDropped)
+    this.flagTimer = null;
+    this.syncTimer = null;
+    this.abandonTimers = { white: null, black: null };
+    this.usernames = { white: null, black: null };
+    this.tournament = null; // { tournamentId, gameId } for tournament pairings
+    this.practice = null; // { botColor, level } in a practice game against the engine
+    this.engineThinking = null; // FEN the engine is searching, on the owning instance
   }
 
+  // Plain data stored in Redis; timers are rebuilt by whichever instance restores it
+  serialize() {
+    return {
+      matchId: this.matchId,
+      whiteDbId: this.whiteDbId,
+      blackDbId: this.blackDbId,
+      gameMode: this.gameMode,
+      timeControl: this.timeControl,
+      entryFee: this.entryFee,
+      rated: this.rated,
+      usernames: this.usernames,
+      status: this.status,
+      result: this.result,
+      drawOffer: this.drawOffer,
+      takebackRequest: this.takebackRequest,
+      initialMs: this.initialMs,
+      clock: this.clock,
+      startedAt: this.startedAt,
+      moveLog: this.moveLog,
+      tournament: this.tournament,
+      practice: this.practice,
+      savedAt: Date.now()
+    };
+  }
+
+  static restore(snapshot) {
+    // Snapshots from before time controls only have the mode
+    const timeControl = snapshot.timeControl || { ...resolveTimeControl(snapshot.gameMode), gameMode: snapshot.gameMode };
+    const match = new Match(snapshot.matchId, snapshot.whiteDbId, snapshot.blackDbId, timeControl, snapshot.entryFee, snapshot.rated);
+    for (const entry of snapshot.moveLog) match.chess.move(entry.san);
+    Object.assign(match, {
+      usernames: snapshot.usernames,
+      status: snapshot.status,
+      result: snapshot.result,
+      drawOffer: snapshot.drawOffer,
+      takebackRequest: snapshot.takebackRequest,
+      initialMs: snapshot.initialMs,
+      startedAt: snapshot.startedAt,
+      moveLog: snapshot.moveLog,
+      tournament: snapshot.tournament || null,
+      practice: snapshot.practice || null,
+      fen: match.chess.fen(),
+      turn: match.chess.turn() === 'w' ? 'white' : 'black'
+    });
+    // The side to move is charged up to the last save; time the match had no owner is free
+    const charged = Math.max(0, snapshot.savedAt - snapshot.clock.lastMoveTs);
+    match.clock = { whiteMs: snapshot.clock.whiteMs, blackMs: snapshot.clock.blackMs, lastMoveTs: Date.now() - charged };
+    return match;
+  }
+
+  // Remaining time right now, without committing the elapsed time to the clock
+  currentClock(now = Date.now()) {
+    const elapsed = this.status === 'active' ? now - this.clock.lastMoveTs : 0;
+    return {
+      whiteMs: this.turn === 'white' ? Math.max(0, this.clock.whiteMs - elapsed) : this.clock.whiteMs,
+      blackMs: this.turn === 'black' ? Math.max(0, this.clock.blackMs - elapsed) : this.clock.blackMs
+    };
+  }
+
+  // False when `color` has only a king, or a king and a single minor piece
+  hasMatingMaterial(color) {
+    const c = color === 'white' ? 'w' : 'b';
+    const pieces = this.chess.board().flat().filter(sq => sq && sq.color === c && sq.type !== 'k');
+    if (pieces.length === 0) return false;
+    if (pieces.length === 1 && (pieces[0].type === 'b' || pieces[0].type === 'n')) return false;
+    return true;
+  }
+
+  // Charges elapsed time to the side to move. Returns true if that side flagged.
   updateClock() {
     const now = Date.now();
     const elapsed = now - this.clock.lastMoveTs;
-    // Only deduct time if game is active and not just starting
     if (this.turn === 'white') this.clock.whiteMs = Math.max(0, this.clock.whiteMs - elapsed);
     else this.clock.blackMs = Math.max(0, this.clock.blackMs - elapsed);
     this.clock.lastMoveTs = now;
 
-    if (this.clock.whiteMs === 0) {
+    if (this.clock.whiteMs === 0 || this.clock.blackMs === 0) {
+      const flagged = this.clock.whiteMs === 0 ? 'white' : 'black';
+      const opponent = flagged === 'white' ? 'black' : 'white';
       this.status = 'finished';
-      this.result = { winner: 'black', reason: 'timeout' };
-      return true;
-    }
-    if (this.clock.blackMs === 0) {
-      this.status = 'finished';
-      this.result = { winner: 'white', reason: 'timeout' };
+      // Running out of time is a draw if the opponent could never checkmate
+      this.result = this.hasMatingMaterial(opponent)
+        ? { winner: opponent, reason: 'timeout' }
+        : { winner: 'draw', reason: 'timeout_vs_insufficient_material' };
       return true;
     }
     return false;
   }
 
   makeMove(from, to, promotion) {
-    const move = this.chess.move({ from, to, promotion });
+    // Charge the mover's thinking time first; a move made after the flag fell doesn't count
+    const thinkStart = this.clock.lastMoveTs;
+    if (this.updateClock()) return { success: false, reason: 'Time expired' };
+
+    let move;
+    try {
+      move = this.chess.move({ from, to, promotion });
+    } catch (e) {
+      move = null; // chess.js throws on illegal moves
+    }
     if (!move) return { success: false, reason: 'Invalid move' };
+    const mover = this.turn;
     this.fen = this.chess.fen();
     this.turn = this.chess.turn() === 'w' ? 'white' : 'black';
+
+    // Fischer increment, plus the Bronstein delay: time used up to the delay is given back
+    const timeSpentMs = this.clock.lastMoveTs - thinkStart;
+    const bonusMs = this.timeControl.incrementMs + Math.min(timeSpentMs, this.timeControl.delayMs);
+    if (mover === 'white') this.clock.whiteMs += bonusMs;
+    else this.clock.blackMs += bonusMs;
+
+    this.moveLog.push({
+      ply: this.moveLog.length + 1,
+      color: mover,
+      san: move.san,
+      from: move.from,
+      to: move.to,
+      promotion: move.promotion || null,
+      fen: this.fen,
+      timeSpentMs,
+      whiteMs: this.clock.whiteMs,
+      blackMs: this.clock.blackMs,
+      timestamp: new Date(this.clock.lastMoveTs).toISOString()
+    });
+
+    // Moving implicitly declines the opponent's pending offers
+    if (this.drawOffer && this.drawOffer !== mover) this.drawOffer = null;
+    this.takebackRequest = null;
+
+    if (this.chess.isCheckmate()) {
+      this.result = { winner: this.chess.turn() === 'w' ? 'black' : 'white', reason: 'checkmate' };
+      this.status = 'finished';
+    } else if (this.chess.isDraw()) {
+      this.result = { winner: 'draw', reason: 'draw' };
+      this.status = 'finished';
+    }
+    return { success: true };
+  }
+
+  colorOf(userId) {
+    if (this.whiteDbId === userId) return 'white';
+    if (this.blackDbId === userId) return 'black';
+    return null;
+  }
+
+  userIdOf(color) {
+    return color === 'white' ? this.whiteDbId : this.blackDbId;
+  }
+
+  finish(result) {
+    // If the flag fell first, the timeout result stands
+    if (!this.updateClock()) {
+      this.status = 'finished';
+      this.result = result;
+    }
+    this.drawOffer = null;
+    this.takebackRequest = null;
+  }
+
+  resign(color) {
+    this.finish({ winner: color === 'white' ? 'black' : 'white', reason: 'resign' });
+    return { success: true };
+  }
+
+  offerDraw(color) {
+    if (this.drawOffer === color) return { success: false, reason: 'Draw already offered' };
+    // Both sides offering is an agreement
+    if (this.drawOffer) return this.acceptDraw(color);
+    this.drawOffer = color;
+    return { success: true };
+  }
+
+  acceptDraw(color) {
+    if (!this.drawOffer || this.drawOffer === color) return { success: false, reason: 'No draw offer to accept' };
+    this.finish({ winner: 'draw', reason: 'agreement' });
+    return { success: true };
+  }
+
+  declineDraw(color) {
+    if (!this.drawOffer || this.drawOffer === color) return { success: false, reason: 'No draw offer to decline' };
+    this.drawOffer = null;
+    return { success: true };
+  }
+
+  // Abort is only possible until both sides have made their first move, and never in a tournament
+  canAbort() {
+    return !this.tournament && this.chess.history().length < 2;
+  }
+
+  abort() {
+    if (this.tournament) return { success: false, reason: 'Tournament games cannot be aborted' };
+    if (!this.canAbort()) return { success: false, reason: 'Too late to abort' };
+    this.finish({ winner: null, reason: 'aborted' });
+    return { success: true };
+  }
+
+  requestTakeback(color) {
+    if (this.rated) return { success: false, reason: 'Takebacks are not allowed in rated games' };
+    const history = this.chess.history();
+    // The requester must have a move of their own on the board
+    const ownMoves = color === 'white' ? Math.ceil(history.length / 2) : Math.floor(history.length / 2);
+    if (ownMoves === 0) return { success: false, reason: 'No move to take back' };
+    if (this.takebackRequest) return { success: false, reason: 'Takeback already requested' };
+    this.takebackRequest = color;
+    return { success: true };
+  }
+
+  // Undo the requester's last move (and the opponent's reply, if any)
+  acceptTakeback(color) {
+    if (!this.takebackRequest || this.takebackRequest === color) return { success: false, reason: 'No takeback to accept' };
     this.updateClock();
+    if (this.status !== 'active') return { success: false, reason: 'Time expired' };
+
+    const plies = this.turn === this.takebackRequest ? 2 : 1;
+    for (let i = 0; i < plies; i++) this.chess.undo();
+    this.moveLog.splice(this.moveLog.length - plies, plies);
+    this.fen = this.chess.fen();
+    this.turn = this.chess.turn() === 'w' ? 'white' : 'black';
+    this.takebackRequest = null;
+    this.drawOffer = null;
+    return { success: true };
+  }
+
+  declineTakeback(color) {
+    if (!this.takebackRequest || this.takebackRequest === color) return { success: false, reason: 'No takeback to decline' };
+    this.takebackRequest = null;
+    return { success: true };
+  }
+
+  // Full PGN with Seven Tag Roster, game metadata and [%clk] comments per move
+  toPgn({ white, black, whiteElo, blackElo }, endedAt = Date.now()) {
+    const game = new Chess();
+    const start = new Date(this.startedAt);
+    const end = new Date(endedAt);
+    const reason = this.result ? this.result.reason : null;
+
+    const headers = {
+      Event: `GTP Club Chess ${this.gameMode}`,
+      Site: 'GTP Club Chess',
+      Date: pgnDate(start),
+      Round: '-',
+      White: white || '?',
+      Black: black || '?',
+      Result: pgnResult(this.result),
+      WhiteElo: whiteElo !== undefined && whiteElo !== null ? whiteElo : '?',
+      BlackElo: blackElo !== undefined && blackElo !== null ? blackElo : '?',
+      TimeControl: `${Math.round(this.initialMs / 1000)}+${this.timeControl.incrementMs / 1000}`,
+      Termination: PGN_TERMINATIONS[reason] || 'Normal',
+      GameMode: this.gameMode,
+      ResultReason: reason || '?',
+      UTCDate: pgnDate(start),
+      UTCTime: start.toISOString().slice(11, 19),
+      EndDate: pgnDate(end),
+      EndTime: end.toISOString().slice(11, 19),
+      MatchId: this.matchId
+    };
+    for (const [key, value] of Object.entries(headers)) game.setHeader(key, String(value));
+
+    for (const entry of this.moveLog) {
+      game.move(entry.san);
+      game.setComment(`[%clk ${pgnClock(entry.color === 'white' ? entry.whiteMs : entry.blackMs)}]`);
+    }
+    return game.pgn();
+  }
+}
+
+// --- PGN Helpers ---
+const PGN_TERMINATIONS = {
+  timeout: 'Time forfeit',
+  timeout_vs_insufficient_material: 'Time forfeit',
+  abandoned: 'Abandoned',
+  aborted: 'Unterminated'
+};
+
+const pgnDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '.');
+
+const pgnResult = (result) => {
+  if (!result || !result.winner) return '*';
+  if (result.winner === 'draw') return '1/2-1/2';
+  return result.winner === 'white' ? '1-0' : '0-1';
+};
+
+// H:MM:SS as used by the %clk command
+const pgnClock = (ms) => {
+  const total = Math.ceil(ms / 1000);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const sec = total % 60;
+  return `${h}:${String(m).padStart(2, '0')}:${String(sec).padStart(2, '0')}`;
+};
+
+// Every socket must present a valid access token in the handshake (socket.user)
+io.use(authenticateSocket);
+
+const opposite = (color) => (color === 'white' ? 'black' : 'white');
+
+// Every socket of a user joins this room, so events reach them on whichever instance they're connected to
+const userRoom = (userId) => `user:${userId}`;
+
+function emitToUser(userId, event, payload) {
+  if (userId) io.to(userRoom(userId)).emit(event, payload);
+}
+
+function emitToColor(match, color, event, payload) {
+  emitToUser(match.userIdOf(color), event, payload);
+}
+
+// Emit to both players of a match (whoever is currently connected)
+function emitToMatch(match, event, payload) {
+  emitToColor(match, 'white', event, payload);
+  emitToColor(match, 'black', event, payload);
+}
+
+// --- Server-Authoritative Clock ---
+const CLOCK_SYNC_INTERVAL_MS = 5000;
+
+// (Re)arm the flag timer for the side to move. Call after every move.
+function scheduleFlag(match) {
+  clearTimeout(match.flagTimer);
+  if (match.status !== 'active') return;
+  const remaining = match.turn === 'white' ? match.clock.whiteMs : match.clock.blackMs;
+  match.flagTimer = setTimeout(() => onFlagTimer(match.matchId), remaining);
+}
+
+async function onFlagTimer(matchId) {
+  const match = matches.get(matchId);
+  if (!match || match.status !== 'active') return;
+
+  // Timers can fire a hair early; re-arm for the remainder if the flag hasn't actually fallen
+  if (!match.updateClock()) {
+    scheduleFlag(match);
+    return;
+  }
+
+  console.log(`Match ${matchId}: flag fell (${match.result.reason})`);
+  await endMatch(match);
+}
+
+function startMatchClock(match) {
+  scheduleFlag(match);
+  match.syncTimer = setInterval(() => {
+    emitToMatch(match, 'clock_sync', {
+      matchId: match.matchId,
+      turn: match.turn,
+      ...match.currentClock(),
+      serverTs: Date.now()
+    });
+  }, CLOCK_SYNC_INTERVAL_MS);
+}
+
+function stopMatchClock(match) {
+  clearTimeout(match.flagTimer);
+  clearInterval(match.syncTimer);
+  match.flagTimer = null;
+  match.syncTimer = null;
+}
+
+// Stop everything this instance runs for a match and forget it locally
+function releaseMatch(match) {
+  stopMatchClock(match);
+  clearTimeout(match.abandonTimers.white);
+  clearTimeout(match.abandonTimers.black);
+  matches.delete(match.matchId);
+}
+
+const persistMatch = (match) => gameStore.saveMatch(match.serialize());
+
+// --- Spectators ---
+// Spectators of a match share a room; players get their events through their user rooms
+const spectatorRoom = (matchId) => `spectate:${matchId}`;
+
+// High-stake games reach spectators late, so a watcher can't relay moves to a player
+const SPECTATOR_DELAY_MS = parseInt(process.env.SPECTATOR_DELAY_MS, 10) || 15000;
+const SPECTATOR_DELAY_MIN_STAKE = parseFloat(process.env.SPECTATOR_DELAY_MIN_STAKE) || 100;
+
+const spectatorDelayFor = (entryFee) => (entryFee >= SPECTATOR_DELAY_MIN_STAKE ? SPECTATOR_DELAY_MS : 0);
+
+function emitToSpectators(match, event, payload) {
+  const delayMs = spectatorDelayFor(match.entryFee);
+  const emit = () => io.to(spectatorRoom(match.matchId)).emit(event, payload);
+  if (delayMs) setTimeout(emit, delayMs);
+  else emit();
+}
+
+// What a spectator sees on joining, built from the Redis snapshot so any instance can answer.
+// With a delay, the position is the one from delayMs ago.
+function getSpectatorState(snapshot, now = Date.now()) {
+  const delayMs = spectatorDelayFor(snapshot.entryFee);
+  const viewTs = now - delayMs;
+  const visible = snapshot.moveLog.filter(entry => Date.parse(entry.timestamp) <= viewTs);
+  const last = visible[visible.length - 1];
+  const turn = visible.length % 2 === 0 ? 'white' : 'black';
+
+  // Clocks as of the last visible move, with the side to move's thinking time since then
+  let clock = { whiteMs: snapshot.initialMs, blackMs: snapshot.initialMs };
+  let clockTs = snapshot.startedAt;
+  if (visible.length === snapshot.moveLog.length) {
+    clock = { whiteMs: snapshot.clock.whiteMs, blackMs: snapshot.clock.blackMs };
+    clockTs = snapshot.clock.lastMoveTs;
+  } else if (last) {
+    clock = { whiteMs: last.whiteMs, blackMs: last.blackMs };
+    clockTs = Date.parse(last.timestamp);
+  }
+  const key = turn === 'white' ? 'whiteMs' : 'blackMs';
+  clock[key] = Math.max(0, clock[key] - Math.max(0, viewTs - clockTs));
+
+  return {
+    matchId: snapshot.matchId,
+    white: snapshot.usernames.white,
+    black: snapshot.usernames.black,
+    gameMode: snapshot.gameMode,
+    timeControl: snapshot.timeControl || null,
+    entryFee: snapshot.entryFee,
+    delayMs,
+    fen: last ? last.fen : DEFAULT_POSITION,
+    moves: visible.map(entry => entry.san),
+    ply: visible.length,
+    turn,
+    clock
+  };
+}
+
+// --- Reconnection ---
+const RECONNECT_GRACE_MS = parseInt(process.env.RECONNECT_GRACE_MS, 10) || 30000;
+
+// Everything a client needs to redraw a game in progress
+function getMatchState(match, color) {
+  const opponentColor = opposite(color);
+  return {
+    matchId: match.matchId,
+    color,
+    fen: match.fen,
+    moves: match.chess.history(),
+    turn: match.turn,
+    clock: match.currentClock(),
+    gameMode: match.gameMode,
+    timeControl: match.timeControl,
+    entryFee: match.entryFee,
+    opponent: match.usernames[opponentColor],
+    opponentConnected: !match.abandonTimers[opponentColor],
+    drawOffer: match.drawOffer,
+    takebackRequest: match.takebackRequest
+  };
+}
+
+// Seat a (re)connected player back in their match
+function resumeMatch(match, color) {
+  const wasAway = !!match.abandonTimers[color];
+  clearTimeout(match.abandonTimers[color]);
+  match.abandonTimers[color] = null;
+
+  emitToColor(match, color, 'rejoin_match', getMatchState(match, color));
+  if (wasAway) {
+    emitToColor(match, opposite(color), 'opponent_reconnected', { matchId: match.matchId });
+    console.log(`Match ${match.matchId}: ${color} reconnected`);
+  }
+}
+
+// The clock keeps running; if the player isn't back within the grace period the game is abandoned
+function handlePlayerDropped(match, color) {
+  console.log(`Match ${match.matchId}: ${color} disconnected`);
+  emitToColor(match, opposite(color), 'opponent_disconnected', { matchId: match.matchId, graceMs: RECONNECT_GRACE_MS });
+
+  clearTimeout(match.abandonTimers[color]);
+  match.abandonTimers[color] = setTimeout(() => onAbandonTimer(match.matchId, color), RECONNECT_GRACE_MS);
+}
+
+async function onAbandonTimer(matchId, color) {
+  const match = matches.get(matchId);
+  if (!match || match.status !== 'active' || !match.abandonTimers[color]) return;
+  match.abandonTimers[color] = null;
+
+  const opponentGone = !!match.abandonTimers[opposite(color)];
+
+  if (match.canAbort()) {
+    match.finish({ winner: null, reason: 'aborted' });
+  } else if (opponentGone) {
+    match.finish({ winner: 'draw', reason: 'abandoned' });
+  } else {
+    match.finish({ winner: opposite(color), reason: 'abandoned' });
+  }
+  console.log(`Match ${matchId}: ${color} abandoned (${match.result.reason})`);
+  await endMatch(match);
+}
+
+// Single exit path for every finished game. The finished snapshot stays in Redis until the
+// payout is done. If the payout throws, the players are released (they can play again) but the
+// snapshot is kept and this instance stops renewing its lease; once the lease expires recovery
+// adopts the match and runs the payout again (settling is idempotent), every 30s until it succeeds.
+// Meanwhile the wallet reconciliation report lists it under pendingSettlement.
+async function endMatch(match) {
+  releaseMatch(match);
+  emitToSpectators(match, 'spectator_game_over', { matchId: match.matchId, ...match.result });
+  try {
+    await persistMatch(match);
+  } catch (e) {
+    console.error(`Saving finished match ${match.matchId} failed:`, e);
+  }
+
+  let paidOut = true;
+  try {
+    if (match.practice) {
+      endPracticeGame(match);
+    } else {
+      await handleGameOver(match);
+      if (match.result.reason !== 'aborted' && match.entryFee > 0) {
+        for (const userId of [match.whiteDbId, match.blackDbId]) await rewardReferral(userId, 'first_match');
+      }
+      await checkFairPlay(match);
+    }
+  } catch (e) {
+    paidOut = false;
+    console.error(`Game over handling failed for ${match.matchId}, will retry on recovery:`, e);
+  }
+
+  try {
+    if (match.tournament) await tournaments.recordGameResult(match.tournament.gameId, pgnResult(match.result), match.matchId);
+  } catch (e) {
+    console.error(`Recording tournament result failed for ${match.matchId}:`, e);
+  }
+
+  const userIds = [match.whiteDbId, match.blackDbId];
+  try {
+    if (paidOut) await gameStore.removeMatch(match.matchId, userIds);
+    else await gameStore.releasePlayers(match.matchId, userIds);
+  } catch (e) {
+    console.error(`Removing finished match ${match.matchId} failed:`, e);
+  }
+}
+
+// --- Match Commands ---
+// Player actions run on the instance that owns the match. Each handler returns { success, reason }.
+const matchCommands = {
+  make_move: (match, color, { from, to, promotion }) => {
+    if (color !== match.turn) return { success: false, reason: 'Not your turn' };
+
+    const result = match.makeMove(from, to, promotion);
+    if (!result.success) return result;
+
+    const clock = { whiteMs: match.clock.whiteMs, blackMs: match.clock.blackMs };
+    emitToMatch(match, 'move_result', {
+      fen: match.fen,
+      turn: match.turn,
+      clock,
+      move: { from, to, promotion } // Echo move for animation
+    });
+
+    const entry = match.moveLog[match.moveLog.length - 1];
+    emitToSpectators(match, 'spectator_move', {
+      matchId: match.matchId,
+      ply: entry.ply,
+      san: entry.san,
+      move: { from: entry.from, to: entry.to, promotion: entry.promotion },
+      fen: match.fen,
+      turn: match.turn,
+      clock
+    });
+    return result;
+  },
+
+  resign: (match, color) => match.resign(color),
+
+  abort: (match) => match.abort(),
+
+  offer_draw: (match, color) => {
+    const result = match.offerDraw(color);
+    if (result.success && match.status === 'active') emitToMatch(match, 'draw_offered', { matchId: match.matchId, by: color });
+    return result;
+  },
+
+  accept_draw: (match, color) => match.acceptDraw(color),
+
+  decline_draw: (match, color) => {
+    const result = match.declineDraw(color);
+    if (result.success) emitToMatch(match, 'draw_declined', { matchId: match.matchId, by: color });
+    return result;
+  },
+
+  request_takeback: (match, color) => {
+    const result = match.requestTakeback(color);
+    if (result.success) emitToMatch(match, 'takeback_requested', { matchId: match.matchId, by: color });
+    return result;
+  },
+
+  accept_takeback: (match, color) => {
+    const result = match.acceptTakeback(color);
+    if (result.success) {
+      const payload = {
+        matchId: match.matchId,
+        fen: match.fen,
+        turn: match.turn,
+        clock: { whiteMs: match.clock.whiteMs, blackMs: match.clock.blackMs }
+      };
+      emitToMatch(match, 'takeback_accepted', payload);
+      emitToSpectators(match, 'spectator_takeback', { ...payload, ply: match.moveLog.length });
+    }
+    return result;
+  },
+
+  decline_takeback: (match, color) => {
+    const result = match.declineTakeback(color);
+    if (result.success) emitToMatch(match, 'takeback_declined', { matchId: match.matchId, by: color });
+    return result;
+  },
+
+  rejoin: (match, color) => {
+    resumeMatch(match, color);
+    return { success: true };
+  },
+
+  // Sent when a player's socket closes. Ignored if they've already reconnected elsewhere.
+  dropped: async (match, color) => {
+    if (await gameStore.getPresence(match.userIdOf(color))) return { success: true };
+    handlePlayerDropped(match, color);
+    return { success: true };
+  }
+};
+
+// cmd: { matchId, userId, command, data }
+async function runMatchCommand(match, cmd) {
+  const handler = matchCommands[cmd.command];
+  const color = match.colorOf(cmd.userId);
+  if (!handler || match.status !== 'active') return;
+  if (!color) {
+    emitToUser(cmd.userId, 'error_message', { message: 'Not in this match' });
+    return;
+  }
+
+  const result = await handler(match, color, cmd.data || {});
+  if (!result.success) {
+    if (cmd.command === 'make_move') emitToUser(cmd.userId, 'illegal_move', { reason: result.reason });
+    else emitToUser(cmd.userId, 'error_message', { message: result.reason });
+  }
+  await afterMatchCommand(match);
+}
+
+// After any command: finish the game, or re-arm the flag and save. In a practice game the engine answers.
+async function afterMatchCommand(match) {
+  if (match.practice && match.status === 'active') answerForEngine(match);
+
+  if (match.status === 'finished') {
+    await endMatch(match); // Includes a flag that fell before the command
+  } else {
+    scheduleFlag(match);
+    await persistMatch(match);
+    if (match.practice) startEngineMove(match);
+  }
+}
+
+// Run a command here if we own the match (or take it over if nobody does), otherwise hand it to the owner
+async function dispatchMatchCommand(cmd) {
+  let match = matches.get(cmd.matchId);
+  if (!match && !(await gameStore.getOwner(cmd.matchId))) match = await recoverMatch(cmd.matchId);
+  if (match) return runMatchCommand(match, cmd);
+  io.serverSideEmit('match_command', cmd);
+}
+
+// Commands forwarded by other instances
+io.on('match_command', (cmd) => {
+  const match = matches.get(cmd.matchId);
+  if (match) runMatchCommand(match, cmd).catch(e => console.error(`Match command failed for ${cmd.matchId}:`, e));
+});
+
+// --- Recovery ---
+const HEARTBEAT_INTERVAL_MS = 10000;
+
+// Take ownership of a match from Redis and resume it. Returns null if another instance got it first.
+async function recoverMatch(matchId) {
+  const snapshot = await gameStore.loadMatch(matchId);
+  if (!snapshot) {
+    await gameStore.removeMatch(matchId);
+    return null;
+  }
+  if (!(await gameStore.claimMatch(matchId))) return null;
+  if (matches.has(matchId)) return matches.get(matchId);
+
+  const match = Match.restore(snapshot);
+  matches.set(matchId, match);
+  console.log(`Match ${matchId}: recovered by instance ${gameStore.INSTANCE_ID}`);
+
+  // It ended before the previous owner finished paying out
+  if (match.status !== 'active') {
+    await endMatch(match);
+    return null;
+  }
+
+  startMatchClock(match);
+  for (const color of ['white', 'black']) {
+    if (!match.userIdOf(color)) continue; // The engine's seat in a practice game
+    // Players whose socket went down with the old instance get the usual grace period
+    if (await gameStore.getPresence(match.userIdOf(color))) {
+      emitToColor(match, color, 'rejoin_match', getMatchState(match, color));
+    } else {
+      handlePlayerDropped(match, color);
+    }
+  }
+  await persistMatch(match);
+  if (match.practice) startEngineMove(match);
+  return match;
+}
 
-    if (this.chess.isCheckmate()) {
-      this.result = { winner: this.chess.turn() === 'w' ? 'black' : 'white', reason: 'checkmate' };
-      this.status = 'finished';
-    } else if (this.chess.isDraw()) {
-      this.result = { winner: 'draw', reason: 'draw' };
-      this.status = 'finished';
+// Resume every active match whose owner has stopped renewing its lease
+async function recoverMatches() {
+  const matchIds = await gameStore.listActiveMatchIds();
+  for (const matchId of matchIds) {
+    if (matches.has(matchId) || (await gameStore.getOwner(matchId))) continue;
+    try {
+      await recoverMatch(matchId);
+    } catch (e) {
+      console.error(`Recovering match ${matchId} failed:`, e);
     }
-    return { success: true };
   }
 }
 
+// Keep our leases and presence alive, save clocks for a fair restore, and adopt orphaned matches
+async function heartbeat() {
+  const lost = await gameStore.renewLeases(Array.from(matches.keys()));
+  for (const matchId of lost) {
+    console.warn(`Match ${matchId}: lease lost, another instance has taken over`);
+    releaseMatch(matches.get(matchId));
+  }
+  for (const match of matches.values()) await persistMatch(match);
+  await gameStore.refreshPresence(Array.from(players.values()).map(p => p.dbId));
+  await recoverMatches();
+}
+
 io.on('connection', (socket) => {
-  console.log(`Client connected: ${socket.id}`);
+  console.log(`Client connected: ${socket.id} (user ${socket.user.id})`);
 
   // 1. REGISTER PLAYER
-  socket.on('register_player', (userId) => {
-    // Cleanup old sockets for this user to prevent "Ghost" sessions
-    for (const [sId, p] of players.entries()) {
-      if (p.dbId === userId && sId !== socket.id) {
-        console.log(`[Cleanup] Duplicate login for ${userId}. Disconnecting old socket ${sId}.`);
-
-        // Remove from any queue they might be in
-        for (const mode in queues) {
-          const qIdx = queues[mode].indexOf(p.playerId);
-          if (qIdx > -1) {
-            queues[mode].splice(qIdx, 1);
-            console.log(`[Cleanup] Removed ${userId} from ${mode} queue.`);
-          }
-        }
-        players.delete(sId);
-        io.to(sId).emit('force_disconnect'); // Tell client to stop
-      }
+  // The user is taken from the authenticated handshake; any client-sent userId is ignored
+  const registerPlayer = async () => {
+    const userId = socket.user.id;
+
+    // Cleanup an older socket for this user (on any instance) to prevent "Ghost" sessions
+    const previous = await gameStore.getPresence(userId);
+    if (previous && previous.socketId !== socket.id) {
+      console.log(`[Cleanup] Duplicate login for ${userId}. Disconnecting old socket ${previous.socketId}.`);
+      const removed = await gameStore.dequeue(userId);
+      if (removed.length > 0) console.log(`[Cleanup] Removed ${userId} from ${removed.join(', ')} queue.`);
+
+      players.delete(previous.socketId);
+      io.in(previous.socketId).socketsLeave(userRoom(userId));
+      io.to(previous.socketId).emit('force_disconnect'); // Tell client to stop
     }
 
-    const player = new Player(uuidv4(), socket.id, userId);
-    players.set(socket.id, player);
+    players.set(socket.id, new Player(socket.id, userId, socket.user.username));
+    socket.join(userRoom(userId));
+    await gameStore.setPresence(userId, socket.id);
     console.log(`Registered ${socket.id} to user ${userId}`);
+
+    // A user with a game in progress takes over their old seat
+    const matchId = await gameStore.getActiveMatch(userId);
+    if (matchId) await dispatchMatchCommand({ matchId, userId, command: 'rejoin' });
+    return matchId;
+  };
+
+  // Socket handlers are async; a Redis or DB failure shouldn't go unhandled
+  const on = (event, handler) => {
+    socket.on(event, (data) => {
+      Promise.resolve(handler(data || {})).catch((e) => {
+        console.error(`Socket ${event} failed:`, e);
+        socket.emit('error_message', { message: 'Server error' });
+      });
+    });
+  };
+
+  on('register_player', registerPlayer);
+
+  // Explicit request for the current game's state (also sent automatically on register)
+  on('rejoin_match', async () => {
+    if (!players.has(socket.id)) {
+      if (!(await registerPlayer())) socket.emit('error_message', { message: 'No game in progress' });
+      return;
+    }
+
+    const matchId = await gameStore.getActiveMatch(socket.user.id);
+    if (!matchId) {
+      socket.emit('error_message', { message: 'No game in progress' });
+      return;
+    }
+    await dispatchMatchCommand({ matchId, userId: socket.user.id, command: 'rejoin' });
   });
 
   // 2. JOIN QUEUE
-  socket.on('join_queue', async (data) => {
-    // Data: { userId, gameMode, entryFee, username }
+  on('join_queue', async (data) => {
+    // Data: { timeControl: '3+2', entryFee } (or just { gameMode } for that mode's default control)
     if (!players.has(socket.id)) {
-      // Auto-register if not done (Anonymous fallback)
-      players.set(socket.id, new Player(uuidv4(), socket.id, data.userId, data.username));
+      // Auto-register if not done
+      await registerPlayer();
     }
 
     const player = players.get(socket.id);
-    const mode = data.gameMode || 'BULLET';
-    const fee = parseFloat(data.entryFee) || 10.0;
+    if (await gameStore.getActiveMatch(player.dbId)) {
+      socket.emit('error_message', { message: 'Finish your current game first' });
+      return;
+    }
+    if (!data.timeControl && data.gameMode === 'TOURNAMENT') {
+      socket.emit('error_message', { message: 'Join a tournament to play tournament games' });
+      return;
+    }
+    const timeControl = data.timeControl ? parseTimeControl(data.timeControl) : resolveTimeControl(data.gameMode || 'BULLET');
+    if (!timeControl) {
+      socket.emit('error_message', { message: data.timeControl ? 'Invalid time control' : 'Unknown game mode' });
+      return;
+    }
+    const mode = timeControl.gameMode;
+    const fee = data.entryFee !== undefined ? parseEntryFee(data.entryFee) : 10.0;
+    if (!(fee > 0)) {
+      socket.emit('error_message', { message: 'Invalid entry fee' });
+      return;
+    }
+    let rating = glicko2.DEFAULT_RATING;
 
     // VALIDATION: Check Wallet Balance First!
-    if (player.dbId) {
-      try {
-        const res = await pool.query('SELECT wallet_balance FROM users WHERE id = $1', [player.dbId]);
-        if (res.rows.length > 0) {
-          const balance = parseFloat(res.rows[0].wallet_balance);
-          if (balance < fee) {
-            socket.emit('error_message', { message: `Insufficient Balance! Need ₹${fee}, Have ₹${balance}` });
-            return;
-          }
-        }
-      } catch (err) {
-        console.error('Balance check failed:', err);
-      }
+    const shortfall = await checkBalance(player.dbId, fee);
+    if (shortfall) {
+      socket.emit('error_message', { message: shortfall });
+      return;
     }
 
-    // CHECK IF ALREADY IN QUEUE (Any Mode)
-    let alreadyQueued = false;
-    for (const m in queues) {
-      if (queues[m].includes(player.playerId)) {
-        console.log(`Player ${player.playerId} already in ${m} queue. Moving to new if different.`);
-        // Optional: Remove from old queue? For now, we restrict 1 queue at a time.
-        const idx = queues[m].indexOf(player.playerId);
-        queues[m].splice(idx, 1);
-      }
+    try {
+      const ratings = await loadRatings([player.dbId], mode);
+      rating = ratings[player.dbId].rating;
+    } catch (err) {
+      console.error('Rating lookup failed:', err);
     }
 
-    // Add to specific mode queue
-    if (!queues[mode]) queues[mode] = [];
-    queues[mode].push(player.playerId);
-    player.gameMode = mode; // Track intended mode
-    player.entryFee = fee;
+    // One queue per time control, and one queue at a time: joining another leaves the old one
+    const removed = await gameStore.dequeue(player.dbId);
+    if (removed.length > 0) console.log(`Player ${player.dbId} left ${removed.join(', ')} queue to join ${timeControl.name}.`);
+
+    await gameStore.enqueue(timeControl.name, {
+      userId: player.dbId,
+      username: player.username,
+      entryFee: fee,
+      rating,
+      queuedAt: Date.now()
+    });
+    console.log(`Player ${player.dbId} joined ${timeControl.name} queue (${mode} rating ${rating}).`);
+
+    // Attempt Matchmaking for this time control (also pushes queue_status)
+    await matchPlayers(timeControl.name);
+  });
 
-    console.log(`Player ${player.dbId} joined ${mode} queue. Size: ${queues[mode].length}`);
+  // 3. SPECTATE
+  const watching = new Set(); // matchIds this socket is spectating
 
-    // Attempt Matchmaking for this mode
-    if (queues[mode].length >= 2) {
-      matchPlayers(mode, fee);
+  on('watch_match', async ({ matchId }) => {
+    // Join first so no move falls between the snapshot and the room; clients dedupe by ply
+    if (matchId) socket.join(spectatorRoom(matchId));
+    const snapshot = matchId && await gameStore.loadMatch(matchId);
+    if (!snapshot || snapshot.status !== 'active') {
+      if (matchId) socket.leave(spectatorRoom(matchId));
+      socket.emit('error_message', { message: 'No live game to watch' });
+      return;
     }
+
+    watching.add(matchId);
+    await gameStore.addSpectator(matchId, socket.id);
+    socket.emit('spectator_state', getSpectatorState(snapshot));
+  });
+
+  on('unwatch_match', async ({ matchId }) => {
+    if (!watching.delete(matchId)) return;
+    socket.leave(spectatorRoom(matchId));
+    await gameStore.removeSpectator(matchId, socket.id);
   });
 
-  socket.on('make_move', async (data) => {
+  // 4. PRIVATE CHALLENGES
+  // Each replies with error_message on failure; results arrive as challenge_* / match_found events
+  const challengeAction = (event, handler) => {
+    on(event, async (data) => {
+      if (!players.has(socket.id)) await registerPlayer();
+      const result = await handler(socket.user, data);
+      if (!result.success) socket.emit('error_message', { message: result.reason });
+    });
+  };
+
+  challengeAction('create_challenge', createChallenge);
+  challengeAction('accept_challenge', acceptChallenge);
+  challengeAction('decline_challenge', declineChallenge);
+  challengeAction('cancel_challenge', cancelChallenge);
+
+  on('make_move', async (data) => {
     const { matchId, from, to, promotion } = data;
-    const match = matches.get(matchId);
-    if (!match) return;
+    if (!matchId) return;
+    await dispatchMatchCommand({ matchId, userId: socket.user.id, command: 'make_move', data: { from, to, promotion } });
+  });
 
-    const result = match.makeMove(from, to, promotion);
-    if (!result.success) {
-      socket.emit('illegal_move', { reason: result.reason });
+  // In-game requests. Each takes { matchId }; failures come back as error_message.
+  for (const command of ['resign', 'abort', 'offer_draw', 'accept_draw', 'decline_draw', 'request_takeback', 'accept_takeback', 'decline_takeback']) {
+    on(command, async (data) => {
+      if (!data.matchId) {
+        socket.emit('error_message', { message: 'Not in this match' });
+        return;
+      }
+      await dispatchMatchCommand({ matchId: data.matchId, userId: socket.user.id, command });
+    });
+  }
+
+  // 5. CHAT
+  // Players only (spectators don't see it), during the game and for a while after.
+  // Failures and blocked messages come back as error_message.
+  const chatAction = (event, handler) => {
+    on(event, async (data) => {
+      try {
+        await handler(data);
+      } catch (e) {
+        if (!(e instanceof chat.ChatError)) throw e;
+        socket.emit('error_message', { message: e.message });
+      }
+    });
+  };
+
+  // Data: { matchId, message }
+  chatAction('send_chat', async ({ matchId, message }) => {
+    const result = await chat.sendMessage(socket.user, matchId, message);
+    if (result.blockedReason) {
+      socket.emit('error_message', { message: 'Sharing phone numbers or payment details in chat is not allowed' });
       return;
     }
+    for (const userId of result.deliverTo) emitToUser(userId, 'chat_message', result.message);
+  });
 
-    const moveResult = {
-      fen: match.fen,
-      turn: match.turn,
-      clock: { whiteMs: match.clock.whiteMs, blackMs: match.clock.blackMs },
-      move: { from, to, promotion } // Echo move for animation
-    };
+  chatAction('chat_history', async ({ matchId }) => {
+    socket.emit('chat_history', { matchId, ...(await chat.getHistory(socket.user.id, matchId)) });
+  });
 
-    const whitePlayer = Array.from(players.values()).find(p => p.playerId === match.players.white);
-    const blackPlayer = Array.from(players.values()).find(p => p.playerId === match.players.black);
+  // Muting hides the opponent's messages for the rest of this game, history included
+  for (const [event, muted] of [['mute_opponent', true], ['unmute_opponent', false]]) {
+    chatAction(event, async ({ matchId }) => {
+      await chat.setMuted(socket.user.id, matchId, muted);
+      socket.emit('chat_muted', { matchId, muted });
+    });
+  }
 
-    if (whitePlayer) io.to(whitePlayer.socketId).emit('move_result', moveResult);
-    if (blackPlayer) io.to(blackPlayer.socketId).emit('move_result', moveResult);
+  // 6. PRACTICE
+  // Data: { level, color: 'white' | 'black' | 'random', timeControl }. Starts with match_found like
+  // any other game; failures come back as error_message.
+  on('start_practice', async (data) => {
+    if (!players.has(socket.id)) await registerPlayer();
+    const result = await startPracticeGame(socket.user, data);
+    if (!result.success) socket.emit('error_message', { message: result.reason });
+  });
 
-    if (match.status === 'finished') {
-      await handleGameOver(match);
-      matches.delete(matchId);
-    }
+  on('disconnect', async () => {
+    for (const matchId of watching) await gameStore.removeSpectator(matchId, socket.id);
+
+    const player = players.get(socket.id);
+    if (!player) return;
+    console.log(`Socket disconnected: ${socket.id} (${player.dbId})`);
+    players.delete(socket.id);
+
+    // Only the user's current socket owns their queue spot and seat; a replaced one does nothing
+    if (!(await gameStore.clearPresence(player.dbId, socket.id))) return;
+
+    const removed = await gameStore.dequeue(player.dbId);
+    if (removed.length > 0) console.log(`Removed ${player.dbId} from ${removed.join(', ')} queue.`);
+
+    // Keep the seat open for a reconnect
+    const matchId = await gameStore.getActiveMatch(player.dbId);
+    if (matchId) await dispatchMatchCommand({ matchId, userId: player.dbId, command: 'dropped' });
+  });
+});
+
+// --- Matchmaking ---
+// Players are paired within a rating band that widens the longer they wait
+const MATCH_RANGE_BASE = 100; // Initial +/- rating window
+const MATCH_RANGE_STEP = 50; // Widened by this much...
+const MATCH_RANGE_STEP_MS = 5000; // ...every this many ms of waiting
+const MATCH_RANGE_MAX = 800;
+const REMATCH_COOLDOWN_MS = 2 * 60000; // No immediate repeat pairing with the last opponent
+const MATCHMAKING_INTERVAL_MS = 2000;
+const MATCHMAKING_LOCK_MS = 10000; // Only one instance pairs a given queue at a time
+
+// Queue entries: { userId, username, entryFee, rating, queuedAt } (see gameStore.enqueue)
+const ratingRangeFor = (entry, now = Date.now()) => {
+  const waited = now - entry.queuedAt;
+  return Math.min(MATCH_RANGE_MAX, MATCH_RANGE_BASE + MATCH_RANGE_STEP * Math.floor(waited / MATCH_RANGE_STEP_MS));
+};
+
+// Same stake, both within each other's current rating window, not a rematch
+// lastOpponents: { userId: opponentId }, expiring after REMATCH_COOLDOWN_MS
+const canPair = (a, b, now, lastOpponents) => {
+  if (a.entryFee !== b.entryFee) return false;
+  const diff = Math.abs(a.rating - b.rating);
+  if (diff > Math.min(ratingRangeFor(a, now), ratingRangeFor(b, now))) return false;
+  return lastOpponents[a.userId] !== b.userId && lastOpponents[b.userId] !== a.userId;
+};
+
+// Average recent wait minus what the player has already waited; null with no history
+const estimateWaitMs = (waits, waitedMs) => {
+  if (waits.length === 0) return null;
+  const average = waits.reduce((sum, w) => sum + w, 0) / waits.length;
+  return Math.max(0, Math.round(average - waitedMs));
+};
+
+function emitQueueStatus(entry, timeControl, playersInQueue, waits, now = Date.now()) {
+  const range = ratingRangeFor(entry, now);
+  const waitedMs = now - entry.queuedAt;
+  emitToUser(entry.userId, 'queue_status', {
+    gameMode: timeControl.gameMode,
+    timeControl: timeControl.name,
+    entryFee: entry.entryFee,
+    waitedMs,
+    estimatedWaitMs: estimateWaitMs(waits, waitedMs),
+    ratingRange: { min: Math.max(0, entry.rating - range), max: entry.rating + range },
+    playersInQueue
   });
+}
+
+// Pairs everyone it can in one queue, then pushes queue_status to whoever is still waiting.
+// Skipped if another instance is already pairing this queue.
+// Queues are named by time control ('3+2'); older ones by game mode, which resolves to its default.
+async function matchPlayers(queueName) {
+  const timeControl = resolveTimeControl(queueName);
+  if (!timeControl) return;
+  await gameStore.withLock(`matchmaking:${queueName}`, MATCHMAKING_LOCK_MS, async () => {
+    const now = Date.now();
+
+    // Stale check: drop players with no live socket (e.g. their instance went down)
+    const queue = [];
+    const entries = await gameStore.getQueue(queueName);
+    const presences = await gameStore.getPresences(entries.map(e => e.userId));
+    for (let i = 0; i < entries.length; i++) {
+      if (presences[i]) queue.push(entries[i]);
+      else await gameStore.removeFromQueue(queueName, entries[i].userId);
+    }
 
-  socket.on('disconnect', () => {
-    if (players.has(socket.id)) {
-      const player = players.get(socket.id);
-      console.log(`Socket disconnected: ${player.playerId} (${player.dbId})`);
-
-      // Remove from all queues
-      for (const mode in queues) {
-        const idx = queues[mode].indexOf(player.playerId);
-        if (idx > -1) {
-          queues[mode].splice(idx, 1);
-          console.log(`Removed ${player.playerId} from ${mode} queue.`);
-        }
+    const lastOpponents = await gameStore.getLastOpponents(queue.map(e => e.userId));
+    const paired = new Set();
+
+    // Queue order is join order, so the longest-waiting player gets first pick
+    for (let i = 0; i < queue.length; i++) {
+      if (paired.has(i)) continue;
+      for (let j = i + 1; j < queue.length; j++) {
+        if (paired.has(j) || !canPair(queue[i], queue[j], now, lastOpponents)) continue;
+
+        paired.add(i);
+        paired.add(j);
+        await gameStore.removeFromQueue(queueName, queue[i].userId);
+        await gameStore.removeFromQueue(queueName, queue[j].userId);
+        await createQueueMatch(queueName, timeControl, queue[i], queue[j]);
+        break;
       }
-      players.delete(socket.id);
     }
+
+    const waiting = queue.filter((entry, i) => !paired.has(i));
+    const waits = await gameStore.getRecentWaits(queueName);
+    for (const entry of waiting) emitQueueStatus(entry, timeControl, waiting.length, waits, now);
   });
+}
+
+// Runs pairing for every queue (windows widen with time)
+async function matchmakingTick() {
+  const queueNames = await gameStore.getQueueNames();
+  for (const queueName of queueNames) {
+    await matchPlayers(queueName).catch(e => console.error(`Matchmaking failed for ${queueName}:`, e));
+  }
+}
+
+// An entry fee in rupees with at most two decimals (0 for a free game), or null if it isn't one
+const parseEntryFee = (value) => {
+  const fee = parseFloat(value);
+  if (!Number.isFinite(fee) || fee < 0 || Math.abs(fee * 100 - Math.round(fee * 100)) > 1e-6) return null;
+  return fee;
+};
+
+// Pre-check before queueing or challenging; the escrow transaction is what actually enforces it.
+// Returns an error message, or null if the balance covers the fee (or couldn't be checked).
+async function checkBalance(userId, fee) {
+  try {
+    const res = await pool.query('SELECT wallet_balance FROM users WHERE id = $1', [userId]);
+    if (res.rows.length > 0) {
+      const balance = parseFloat(res.rows[0].wallet_balance);
+      if (balance < fee) return `Insufficient Balance! Need ₹${fee}, Have ₹${balance}`;
+    }
+  } catch (err) {
+    console.error('Balance check failed:', err);
+  }
+  return null;
+}
+
+// Shared by matchmaking and challenges. timeControl: see timeControls.js. p1, p2: { userId, username }.
+// p1Color: 'white' | 'black', or null for random. Returns the match, or null if it couldn't be started.
+// Throws wallet.InsufficientBalanceError (nothing charged) so the caller can decide what to do with the other player.
+async function createMatch(timeControl, fee, p1, p2, { rated = true, p1Color = null, tournament = null } = {}) {
+  const isP1White = p1Color ? p1Color === 'white' : Math.random() < 0.5;
+  const [white, black] = isP1White ? [p1, p2] : [p2, p1];
+  const matchId = uuidv4();
+
+  // Match row + both entry fees into escrow, as one transaction (free games: just the row)
+  console.log(`Starting ${timeControl.name} ${timeControl.gameMode} match. Escrowing ₹${fee} from ${p1.userId} and ${p2.userId}`);
+  const row = { matchId, whiteId: white.userId, blackId: black.userId, gameMode: timeControl.gameMode, timeControl: timeControl.name };
+  try {
+    if (fee > 0) await wallet.openMatchEscrow({ ...row, fee });
+    else await wallet.openFreeMatch(row);
+  } catch (e) {
+    if (e instanceof wallet.InsufficientBalanceError) throw e;
+    console.error('Match creation failed:', e);
+    for (const p of [p1, p2]) emitToUser(p.userId, 'error_message', { message: 'Could not start match. Please try again.' });
+    return null;
+  }
+
+  const match = new Match(matchId, white.userId, black.userId, timeControl, fee, rated);
+  match.usernames = { white: white.username, black: black.username };
+  match.tournament = tournament;
+
+  // This instance owns the new match
+  matches.set(matchId, match);
+  await gameStore.claimMatch(matchId);
+  await persistMatch(match);
+  await gameStore.setActiveMatch(white.userId, matchId);
+  await gameStore.setActiveMatch(black.userId, matchId);
+  startMatchClock(match);
+
+  // Broadcast Start
+  const found = { matchId, initialFen: match.fen, clock: match.clock, gameMode: match.gameMode, timeControl, rated };
+  emitToUser(white.userId, 'match_found', { ...found, color: 'white', opponent: black.username });
+  emitToUser(black.userId, 'match_found', { ...found, color: 'black', opponent: white.username });
+
+  // Scheduled games (tournaments) can start with a player offline; they get the usual grace period
+  for (const color of ['white', 'black']) {
+    if (!(await gameStore.getPresence(match.userIdOf(color)))) handlePlayerDropped(match, color);
+  }
+
+  console.log(`Match ${matchId} started.`);
+  return match;
+}
+
+// Queue pairing: remembers the pairing for wait estimates and the rematch cooldown
+async function createQueueMatch(queueName, timeControl, p1, p2) {
+  const now = Date.now();
+  for (const [player, opponent] of [[p1, p2], [p2, p1]]) {
+    await gameStore.recordWait(queueName, now - player.queuedAt);
+    await gameStore.setLastOpponent(player.userId, opponent.userId, REMATCH_COOLDOWN_MS);
+  }
+
+  try {
+    await createMatch(timeControl, p1.entryFee, p1, p2);
+  } catch (e) {
+    if (!(e instanceof wallet.InsufficientBalanceError)) throw e;
+    // Drop the short player; the other keeps their place (queuedAt) in the queue
+    const [broke, other] = e.userId === p1.userId ? [p1, p2] : [p2, p1];
+    emitToUser(broke.userId, 'error_message', { message: e.message });
+    await gameStore.enqueue(queueName, other);
+  }
+}
+
+// --- Private Challenges ---
+// A direct challenge names its opponent; an invite has a code that anyone else can accept with
+const CHALLENGE_TTL_MS = 2 * 60000;
+const INVITE_TTL_MS = 60 * 60000;
+const CHALLENGE_EXPIRY_SLACK_MS = 5000; // Redis keeps it a bit longer so the expiry timer can still notify
+const CHALLENGE_COLORS = ['white', 'black', 'random'];
+const CHALLENGE_LOOKUP_LIMIT = 20; // Challenges naming an opponent, per user per minute (each one looks up a username)
+
+const challengeTimers = new Map(); // challengeId -> expiry timer (on the instance that created it)
+
+const generateInviteCode = () => uuidv4().replace(/-/g, '').slice(0, 8).toUpperCase();
+
+function clearChallengeTimer(challengeId) {
+  clearTimeout(challengeTimers.get(challengeId));
+  challengeTimers.delete(challengeId);
+}
+
+// Notify whoever a challenge concerns
+function emitToChallenge(challenge, event, payload) {
+  emitToUser(challenge.challengerId, event, payload);
+  emitToUser(challenge.opponentId, event, payload);
+}
+
+// data: { opponent (username, omit for an invite code), timeControl (or gameMode), entryFee, color, rated }
+async function createChallenge(user, data) {
+  const gameMode = String(data.gameMode || 'BULLET').toUpperCase();
+  if (!data.timeControl && !PLAYABLE_MODES.includes(gameMode)) return { success: false, reason: 'Unknown game mode' };
+  const timeControl = data.timeControl ? parseTimeControl(data.timeControl) : resolveTimeControl(gameMode);
+  if (!timeControl) return { success: false, reason: 'Invalid time control' };
+  const entryFee = data.entryFee !== undefined ? parseEntryFee(data.entryFee) : 10.0;
+  if (entryFee === null) return { success: false, reason: 'Invalid entry fee' };
+  const color = data.color || 'random';
+  if (!CHALLENGE_COLORS.includes(color)) return { success: false, reason: 'Color must be white, black or random' };
+
+  let opponent = null;
+  if (data.opponent) {
+    if (!(await rateLimit.hit('challenge_lookup', user.id, CHALLENGE_LOOKUP_LIMIT, 60000)).allowed) {
+      return { success: false, reason: 'Too many challenges, try again in a minute' };
+    }
+    const res = await pool.query('SELECT id, username FROM users WHERE username = $1', [data.opponent]);
+    opponent = res.rows[0];
+    if (!opponent) return { success: false, reason: 'User not found' };
+    if (opponent.id === user.id) return { success: false, reason: "You can't challenge yourself" };
+  }
+
+  if (await gameStore.getActiveMatch(user.id)) return { success: false, reason: 'Finish your current game first' };
+  const shortfall = await checkBalance(user.id, entryFee);
+  if (shortfall) return { success: false, reason: shortfall };
+
+  const ttlMs = opponent ? CHALLENGE_TTL_MS : INVITE_TTL_MS;
+  const now = Date.now();
+  const challenge = {
+    challengeId: uuidv4(),
+    challengerId: user.id,
+    challengerUsername: user.username,
+    opponentId: opponent ? opponent.id : null,
+    opponentUsername: opponent ? opponent.username : null,
+    inviteCode: opponent ? null : generateInviteCode(),
+    gameMode: timeControl.gameMode,
+    timeControl,
+    entryFee,
+    color, // From the challenger's side
+    rated: data.rated !== false,
+    createdAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttlMs).toISOString()
+  };
+  await gameStore.saveChallenge(challenge, ttlMs + CHALLENGE_EXPIRY_SLACK_MS);
+  challengeTimers.set(challenge.challengeId, setTimeout(() => {
+    expireChallenge(challenge.challengeId).catch(e => console.error(`Expiring challenge ${challenge.challengeId} failed:`, e));
+  }, ttlMs));
+
+  emitToUser(user.id, 'challenge_created', challenge);
+  if (opponent) emitToUser(opponent.id, 'challenge_received', challenge);
+  console.log(`Challenge ${challenge.challengeId}: ${user.id} -> ${opponent ? opponent.id : `invite ${challenge.inviteCode}`}`);
+  return { success: true, challenge };
+}
+
+async function expireChallenge(challengeId) {
+  challengeTimers.delete(challengeId);
+  const challenge = await gameStore.takeChallenge(challengeId);
+  if (challenge) emitToChallenge(challenge, 'challenge_expired', { challengeId });
+}
+
+// data: { challengeId } or { inviteCode }. Same balance check and match creation as the queue.
+async function acceptChallenge(user, data) {
+  let challenge = null;
+  if (data.challengeId) challenge = await gameStore.getChallenge(data.challengeId);
+  else if (data.inviteCode) challenge = await gameStore.getChallengeByCode(String(data.inviteCode).toUpperCase());
+  if (!challenge) return { success: false, reason: 'Challenge not found or expired' };
+  if (challenge.challengerId === user.id) return { success: false, reason: "You can't accept your own challenge" };
+  if (challenge.opponentId && challenge.opponentId !== user.id) return { success: false, reason: 'This challenge is for another player' };
+
+  if (await gameStore.getActiveMatch(user.id)) return { success: false, reason: 'Finish your current game first' };
+  const shortfall = await checkBalance(user.id, challenge.entryFee);
+  if (shortfall) return { success: false, reason: shortfall };
+
+  // A concurrent accept, cancel or expiry may get there first
+  if (!(await gameStore.takeChallenge(challenge.challengeId))) return { success: false, reason: 'Challenge not found or expired' };
+  clearChallengeTimer(challenge.challengeId);
+  challenge.opponentId = user.id;
+
+  if (await gameStore.getActiveMatch(challenge.challengerId)) {
+    emitToChallenge(challenge, 'challenge_cancelled', { challengeId: challenge.challengeId, reason: 'Challenger is already in a game' });
+    return { success: true };
+  }
+
+  // A challenge game replaces any queue spot either player had
+  await gameStore.dequeue(challenge.challengerId);
+  await gameStore.dequeue(user.id);
+
+  const challenger = { userId: challenge.challengerId, username: challenge.challengerUsername };
+  const accepter = { userId: user.id, username: user.username };
+  try {
+    await createMatch(challenge.timeControl || resolveTimeControl(challenge.gameMode), challenge.entryFee, challenger, accepter, {
+      rated: challenge.rated,
+      p1Color: challenge.color === 'random' ? null : challenge.color
+    });
+  } catch (e) {
+    if (!(e instanceof wallet.InsufficientBalanceError)) throw e;
+    const [broke, other] = e.userId === user.id ? [accepter, challenger] : [challenger, accepter];
+    emitToUser(broke.userId, 'error_message', { message: e.message });
+    emitToUser(other.userId, 'challenge_cancelled', { challengeId: challenge.challengeId, reason: 'Opponent could not cover the entry fee' });
+  }
+  return { success: true };
+}
+
+// Direct challenges only; invites are simply left to expire or cancelled
+async function declineChallenge(user, { challengeId }) {
+  const challenge = challengeId && await gameStore.getChallenge(challengeId);
+  if (!challenge || challenge.opponentId !== user.id) return { success: false, reason: 'Challenge not found or expired' };
+  if (!(await gameStore.takeChallenge(challengeId))) return { success: false, reason: 'Challenge not found or expired' };
+  clearChallengeTimer(challengeId);
+  emitToChallenge(challenge, 'challenge_declined', { challengeId });
+  return { success: true };
+}
+
+async function cancelChallenge(user, { challengeId }) {
+  const challenge = challengeId && await gameStore.getChallenge(challengeId);
+  if (!challenge || challenge.challengerId !== user.id) return { success: false, reason: 'Challenge not found or expired' };
+  if (!(await gameStore.takeChallenge(challengeId))) return { success: false, reason: 'Challenge not found or expired' };
+  clearChallengeTimer(challengeId);
+  emitToChallenge(challenge, 'challenge_cancelled', { challengeId, reason: 'Cancelled by challenger' });
+  return { success: true };
+}
+
+// Invite link preview
+app.get('/api/challenges/invite/:code', requireAuth, async (req, res) => {
+  try {
+    const challenge = await gameStore.getChallengeByCode(req.params.code.toUpperCase());
+    if (!challenge) return res.status(404).json({ success: false, message: 'Challenge not found or expired' });
+    res.json({ success: true, challenge });
+  } catch (e) {
+    console.error('Invite Lookup Error:', e);
+    res.status(500).json({ success: false });
+  }
 });
 
-async function matchPlayers(mode, fee) {
-  const q = queues[mode];
-  if (q.length < 2) return;
+// --- Practice Games ---
+// Free, unrated games against the built-in engine (engine.js). They never touch the wallet, the
+// ratings or the matches table: the game only lives in Redis while it's played. The engine's seat
+// has no user id (events for it go nowhere) and it plays through the same match commands as a player.
+const PRACTICE_TIME_CONTROL = '10+0';
+const ENGINE_CLOCK_SHARE = 30; // The engine spends at most this fraction (1/n) of its remaining time per move
+
+async function startPracticeGame(user, { level, color = 'random', timeControl } = {}) {
+  const engineLevel = level === undefined ? engine.DEFAULT_LEVEL : parseInt(level, 10);
+  if (!engine.LEVELS[engineLevel]) return { success: false, reason: 'Unknown level' };
+  if (!CHALLENGE_COLORS.includes(color)) return { success: false, reason: 'Invalid color' };
+  const control = parseTimeControl(timeControl || PRACTICE_TIME_CONTROL);
+  if (!control) return { success: false, reason: 'Invalid time control' };
+  if (await gameStore.getActiveMatch(user.id)) return { success: false, reason: 'Finish your current game first' };
+
+  // Like any other game, this one takes the player out of the queues
+  const removed = await gameStore.dequeue(user.id);
+  if (removed.length > 0) console.log(`Player ${user.id} left ${removed.join(', ')} queue for a practice game.`);
+
+  const humanColor = color === 'random' ? (Math.random() < 0.5 ? 'white' : 'black') : color;
+  const botColor = opposite(humanColor);
+  const matchId = uuidv4();
+  const match = humanColor === 'white'
+    ? new Match(matchId, user.id, null, control, 0, false)
+    : new Match(matchId, null, user.id, control, 0, false);
+  match.practice = { botColor, level: engineLevel };
+  match.usernames = { [humanColor]: user.username, [botColor]: `Computer (${engine.LEVELS[engineLevel].name})` };
+
+  matches.set(matchId, match);
+  await gameStore.claimMatch(matchId);
+  await persistMatch(match);
+  await gameStore.setActiveMatch(user.id, matchId);
+  startMatchClock(match);
+
+  emitToUser(user.id, 'match_found', {
+    matchId,
+    initialFen: match.fen,
+    clock: match.clock,
+    gameMode: match.gameMode,
+    timeControl: control,
+    rated: false,
+    practice: true,
+    level: engineLevel,
+    color: humanColor,
+    opponent: match.usernames[botColor]
+  });
+  console.log(`Practice match ${matchId} started: user ${user.id} vs engine level ${engineLevel}.`);
+
+  startEngineMove(match);
+  return { success: true };
+}
+
+// Takebacks are always granted, draw offers always declined
+function answerForEngine(match) {
+  const { botColor } = match.practice;
+  if (match.takebackRequest && match.takebackRequest !== botColor) matchCommands.accept_takeback(match, botColor);
+  if (match.drawOffer && match.drawOffer !== botColor) matchCommands.decline_draw(match, botColor);
+}
+
+function startEngineMove(match) {
+  playEngineMove(match).catch(e => console.error(`Engine move failed for ${match.matchId}:`, e));
+}
+
+// Search in the engine's worker and play the move if the game is still where it was
+async function playEngineMove(match) {
+  const { botColor, level } = match.practice;
+  const fen = match.fen;
+  if (match.status !== 'active' || match.turn !== botColor || match.engineThinking === fen) return;
+
+  match.engineThinking = fen;
+  let move;
+  try {
+    const remainingMs = match.currentClock()[botColor === 'white' ? 'whiteMs' : 'blackMs'];
+    move = await engine.chooseMove(fen, level, remainingMs / ENGINE_CLOCK_SHARE);
+  } finally {
+    if (match.engineThinking === fen) match.engineThinking = null;
+  }
+
+  // A takeback, resignation, flag or handover to another instance while it was thinking
+  if (!move || matches.get(match.matchId) !== match || match.status !== 'active' || match.fen !== fen) return;
+
+  const result = matchCommands.make_move(match, botColor, move);
+  if (!result.success) console.error(`Match ${match.matchId}: engine move ${move.from}${move.to} rejected (${result.reason})`);
+  await afterMatchCommand(match);
+}
+
+// Only the player hears about it; the PGN is theirs to keep, as nothing is stored
+function endPracticeGame(match) {
+  const color = opposite(match.practice.botColor);
+  const messages = { [color]: 'You beat the computer!', [match.practice.botColor]: 'The computer won this one. Try again!', draw: 'Draw!' };
+  emitToColor(match, color, 'game_over', {
+    ...match.result,
+    winnings: 0,
+    practice: true,
+    pgn: match.toPgn({ white: match.usernames.white, black: match.usernames.black }),
+    message: match.result.reason === 'aborted' ? 'Game aborted.' : messages[match.result.winner]
+  });
+}
+
+// --- Tournaments ---
+// Driven by a periodic tick (one instance at a time): start due tournaments, pair rounds
+// once the previous one is done (Swiss) or whenever players are free (Arena), then pay out.
+const TOURNAMENT_TICK_MS = 5000;
+const TOURNAMENT_LOCK_MS = 30000;
+
+// Standings as sent to clients
+const standingsView = (standings) => standings.map(row => ({
+  rank: row.rank,
+  userId: row.userId,
+  username: row.username,
+  rating: Math.round(row.rating),
+  score: row.score,
+  buchholz: row.buchholz,
+  sonnebornBerger: row.sonnebornBerger,
+  wins: row.wins,
+  draws: row.draws,
+  losses: row.losses,
+  byes: row.byes,
+  withdrawn: row.withdrawn
+}));
+
+async function loadStandings(tournament) {
+  const [players, games] = await Promise.all([tournaments.getPlayers(tournament), tournaments.getGames(tournament.id)]);
+  return { players, games, standings: tournaments.computeStandings(players, games, tournament.format) };
+}
+
+function emitToTournament(players, event, payload) {
+  for (const player of players) emitToUser(player.userId, event, payload);
+}
 
-  const p1Id = q[0];
-  const p2Id = q[1];
+// Start one pairing. A player still busy in another game forfeits it.
+async function startTournamentGame(tournament, round, game, white, black) {
+  const busy = [];
+  for (const player of [white, black]) {
+    if (await gameStore.getActiveMatch(player.userId)) busy.push(player.userId);
+  }
+  if (busy.length > 0) {
+    const result = busy.length === 2 ? '0-0' : (busy[0] === white.userId ? '0-1' : '1-0');
+    await tournaments.recordGameResult(game.id, result);
+    for (const userId of busy) emitToUser(userId, 'error_message', { message: `You forfeited round ${round} of ${tournament.name}: finish your other game first` });
+    return;
+  }
 
-  // Resolve player objects
-  const p1 = Array.from(players.values()).find(p => p.playerId === p1Id);
-  const p2 = Array.from(players.values()).find(p => p.playerId === p2Id);
+  // A tournament game replaces any queue spot
+  await gameStore.dequeue(white.userId);
+  await gameStore.dequeue(black.userId);
 
-  // Stale check
-  if (!p1 || !p1.socketId) { q.shift(); return matchPlayers(mode, fee); }
-  if (!p2 || !p2.socketId) { q.splice(1, 1); return matchPlayers(mode, fee); }
+  const match = await createMatch(resolveTimeControl(tournament.time_control), 0, white, black, {
+    p1Color: 'white',
+    tournament: { tournamentId: tournament.id, gameId: game.id }
+  });
+  if (!match) {
+    await tournaments.recordGameResult(game.id, '0-0');
+    return;
+  }
+  await tournaments.setGameMatch(game.id, match.matchId);
 
-  // Prevent self-match (if same user logged in twice incredibly fast)
-  if (p1.dbId && p2.dbId && p1.dbId === p2.dbId) {
-    console.log('Prevented self-match. Removing duplicate.');
-    q.splice(1, 1);
-    return matchPlayers(mode, fee);
+  for (const [player, opponent, color] of [[white, black, 'white'], [black, white, 'black']]) {
+    emitToUser(player.userId, 'tournament_round_started', {
+      tournamentId: tournament.id, name: tournament.name, round, matchId: match.matchId, color, opponent: opponent.username
+    });
   }
+}
 
-  // Remove both from queue
-  q.shift();
-  q.shift();
+async function startRound(tournament, pairs, bye = null) {
+  const round = tournament.current_round + 1;
+  const games = await tournaments.addRound(tournament.id, round, pairs, bye);
+  console.log(`Tournament ${tournament.id}: round ${round}, ${pairs.length} games${bye ? `, bye ${bye.userId}` : ''}`);
+
+  if (bye) emitToUser(bye.userId, 'tournament_round_started', { tournamentId: tournament.id, name: tournament.name, round, bye: true });
+  for (let i = 0; i < pairs.length; i++) {
+    try {
+      await startTournamentGame(tournament, round, games[i], pairs[i][0], pairs[i][1]);
+    } catch (e) {
+      console.error(`Tournament ${tournament.id}: starting game ${games[i].id} failed:`, e);
+      await tournaments.recordGameResult(games[i].id, '0-0');
+    }
+  }
+}
 
+async function finishTournament(tournament) {
+  const { standings } = await loadStandings(tournament);
+  const prizes = await tournaments.settle(tournament.id, standings);
+  if (!prizes) return;
+  console.log(`Tournament ${tournament.id} finished. Prizes:`, prizes);
   try {
-    // Database Deductions
-    console.log(`Starting ${mode} match. Deducting ₹${fee} from ${p1.dbId} and ${p2.dbId}`);
+    for (const [userId, prize] of Object.entries(prizes)) await leaderboards.addWinnings(userId, prize, tournament.time_control);
+  } catch (e) {
+    console.error(`Leaderboard update failed for tournament ${tournament.id}:`, e);
+  }
+
+  const top = standingsView(standings).slice(0, 10);
+  for (const row of standings) {
+    emitToUser(row.userId, 'tournament_finished', {
+      tournamentId: tournament.id, name: tournament.name, rank: row.rank, prize: prizes[row.userId] || 0, standings: top
+    });
+  }
+}
+
+async function cancelTournament(tournament, reason) {
+  if (!(await tournaments.cancel(tournament.id))) return false;
+  console.log(`Tournament ${tournament.id} cancelled: ${reason}`);
+  const players = await tournaments.getPlayers(tournament);
+  emitToTournament(players, 'tournament_cancelled', {
+    tournamentId: tournament.id, name: tournament.name, reason, refund: parseFloat(tournament.buy_in)
+  });
+  return true;
+}
+
+async function startTournament(tournament) {
+  const players = (await tournaments.getPlayers(tournament)).filter(p => !p.withdrawn);
+  if (players.length < 2) {
+    await cancelTournament(tournament, 'Not enough players');
+    return;
+  }
+  const started = await tournaments.start(tournament.id);
+  if (!started) return;
+  console.log(`Tournament ${tournament.id} (${tournament.format}) started with ${players.length} players`);
+  emitToTournament(players, 'tournament_started', { tournamentId: tournament.id, name: tournament.name, format: tournament.format });
+  await advanceTournament(started);
+}
+
+async function advanceTournament(tournament) {
+  if (tournament.format === 'swiss') {
+    if (await tournaments.countPendingGames(tournament.id) > 0) return;
+    if (tournament.current_round >= tournament.rounds) {
+      await finishTournament(tournament);
+      return;
+    }
+    const { standings, games } = await loadStandings(tournament);
+    const { pairs, bye } = tournaments.swissPairings(standings, games);
+    if (pairs.length === 0) {
+      await finishTournament(tournament); // Everyone else withdrew
+      return;
+    }
+    await startRound(tournament, pairs, bye);
+    return;
+  }
+
+  // Arena: no new games after the end time; finish once the last ones are over
+  if (new Date(tournament.ends_at) <= new Date()) {
+    if (await tournaments.countPendingGames(tournament.id) === 0) await finishTournament(tournament);
+    return;
+  }
+
+  const { standings, games } = await loadStandings(tournament);
+  const playing = new Set(games.filter(g => !g.result).flatMap(g => [g.white_id, g.black_id]));
+  const lastOpponents = {};
+  for (const game of games) {
+    if (!game.black_id) continue;
+    lastOpponents[game.white_id] = game.black_id;
+    lastOpponents[game.black_id] = game.white_id;
+  }
+
+  // Pair whoever is online and not already in a game
+  const candidates = standings.filter(p => !p.withdrawn && !playing.has(p.userId));
+  const presences = await gameStore.getPresences(candidates.map(p => p.userId));
+  const waiting = [];
+  for (let i = 0; i < candidates.length; i++) {
+    if (presences[i] && !(await gameStore.getActiveMatch(candidates[i].userId))) waiting.push(candidates[i]);
+  }
 
-    if (p1.dbId) await pool.query('UPDATE users SET wallet_balance = wallet_balance - $1 WHERE id = $2', [fee, p1.dbId]);
-    if (p2.dbId) await pool.query('UPDATE users SET wallet_balance = wallet_balance - $1 WHERE id = $2', [fee, p2.dbId]);
+  const pairs = tournaments.arenaPairings(waiting, lastOpponents);
+  if (pairs.length > 0) await startRound(tournament, pairs);
+}
 
-    // Log Entry Fee Transactions
-    if (p1.dbId) {
-      await pool.query('INSERT INTO transactions (id, user_id, amount, type, description) VALUES ($1, $2, $3, $4, $5)',
-        [uuidv4(), p1.dbId, fee, 'entry_fee', `Entry Fee: ${mode}`]);
+async function tournamentTick() {
+  await gameStore.withLock('tournaments', TOURNAMENT_LOCK_MS, async () => {
+    for (const tournament of await tournaments.listDueTournaments()) {
+      await startTournament(tournament).catch(e => console.error(`Starting tournament ${tournament.id} failed:`, e));
     }
-    if (p2.dbId) {
-      await pool.query('INSERT INTO transactions (id, user_id, amount, type, description) VALUES ($1, $2, $3, $4, $5)',
-        [uuidv4(), p2.dbId, fee, 'entry_fee', `Entry Fee: ${mode}`]);
+    for (const tournament of await tournaments.listTournaments('running')) {
+      await advanceTournament(tournament).catch(e => console.error(`Tournament ${tournament.id} failed:`, e));
     }
+  });
+}
 
-    const isP1White = Math.random() < 0.5;
-    const matchId = uuidv4();
-    const whiteDbId = isP1White ? p1.dbId : p2.dbId;
-    const blackDbId = isP1White ? p2.dbId : p1.dbId;
+const sendTournamentError = (res, e, label) => {
+  if (e instanceof tournaments.TournamentError || e instanceof wallet.InsufficientBalanceError) {
+    return res.status(400).json({ success: false, message: e.message });
+  }
+  console.error(`${label} Error:`, e);
+  res.status(500).json({ success: false, message: 'Server error' });
+};
 
-    const match = new Match(matchId, isP1White ? p1Id : p2Id, isP1White ? p2Id : p1Id, whiteDbId, blackDbId, mode, fee);
+const tournamentSummary = (t) => ({
+  id: t.id,
+  name: t.name,
+  format: t.format,
+  timeControl: t.time_control,
+  buyIn: parseFloat(t.buy_in),
+  rakePercent: parseFloat(t.rake_percent),
+  prizeDistribution: t.prize_distribution,
+  prizePool: parseFloat(t.prize_pool),
+  maxPlayers: t.max_players,
+  rounds: t.rounds,
+  durationMinutes: t.duration_minutes,
+  currentRound: t.current_round,
+  status: t.status,
+  startsAt: t.starts_at,
+  endsAt: t.ends_at,
+  players: t.player_count !== undefined ? parseInt(t.player_count, 10) : undefined
+});
 
-    // Save to DB
-    await pool.query(
-      'INSERT INTO matches (id, white_player_id, black_player_id, entry_fee, stake_amount) VALUES ($1, $2, $3, $4, $5)',
-      [matchId, whiteDbId, blackDbId, fee, fee]
-    );
+// List (?status=scheduled|running|finished|cancelled)
+app.get('/api/tournaments', requireAuth, async (req, res) => {
+  try {
+    const list = await tournaments.listTournaments(req.query.status || null);
+    res.json({ success: true, tournaments: list.map(tournamentSummary) });
+  } catch (e) {
+    sendTournamentError(res, e, 'Tournament List');
+  }
+});
+
+// Detail: standings with tiebreaks and every pairing so far
+app.get('/api/tournaments/:id', requireAuth, async (req, res) => {
+  try {
+    const tournament = await tournaments.getTournament(req.params.id);
+    if (!tournament) return res.status(404).json({ success: false, message: 'Tournament not found' });
+
+    const { players, games, standings } = await loadStandings(tournament);
+    const names = Object.fromEntries(players.map(p => [p.userId, p.username]));
+    const me = players.find(p => p.userId === req.user.id);
 
-    matches.set(matchId, match);
+    res.json({
+      success: true,
+      tournament: { ...tournamentSummary(tournament), players: players.filter(p => !p.withdrawn).length },
+      registered: !!me && !me.withdrawn,
+      standings: standingsView(standings).map(row => {
+        const player = players.find(p => p.userId === row.userId);
+        return { ...row, finalRank: player.finalRank, prize: player.prize };
+      }),
+      games: games.map(g => ({
+        round: g.round,
+        matchId: g.match_id,
+        white: names[g.white_id],
+        black: g.black_id ? names[g.black_id] : null, // null = bye
+        result: g.result
+      }))
+    });
+  } catch (e) {
+    sendTournamentError(res, e, 'Tournament Detail');
+  }
+});
+
+// Register (pays the buy-in)
+app.post('/api/tournaments/:id/join', requireAuth, async (req, res) => {
+  try {
+    await tournaments.register(req.params.id, req.user.id);
+    res.json({ success: true, message: 'Registered' });
+  } catch (e) {
+    sendTournamentError(res, e, 'Tournament Join');
+  }
+});
 
-    p1.color = isP1White ? 'white' : 'black';
-    p2.color = isP1White ? 'black' : 'white';
+// Withdraw (buy-in refunded only before the start)
+app.post('/api/tournaments/:id/leave', requireAuth, async (req, res) => {
+  try {
+    const refund = await tournaments.withdraw(req.params.id, req.user.id);
+    res.json({ success: true, refund, message: refund ? `Withdrawn. ₹${refund} refunded.` : 'Withdrawn' });
+  } catch (e) {
+    sendTournamentError(res, e, 'Tournament Leave');
+  }
+});
 
-    // Broadcast Start
-    io.to(p1.socketId).emit('match_found', { matchId, color: p1.color, initialFen: match.fen, clock: match.clock, opponent: p2.username });
-    io.to(p2.socketId).emit('match_found', { matchId, color: p2.color, initialFen: match.fen, clock: match.clock, opponent: p1.username });
+// Admin: schedule a tournament
+app.post('/api/admin/tournaments', requireAuth, requireAdmin, async (req, res) => {
+  const { name, format, timeControl, maxPlayers, rounds, durationMinutes } = req.body;
+  const buyIn = req.body.buyIn !== undefined ? parseFloat(req.body.buyIn) : 0;
+  const rakePercent = req.body.rakePercent !== undefined ? parseFloat(req.body.rakePercent) : tournaments.DEFAULT_RAKE_PERCENT;
+  const prizeDistribution = req.body.prizeDistribution || tournaments.DEFAULT_PRIZE_DISTRIBUTION;
+  const startsAt = new Date(req.body.startsAt);
+
+  if (!name) return res.status(400).json({ success: false, message: 'Name is required' });
+  if (!tournaments.FORMATS.includes(format)) return res.status(400).json({ success: false, message: 'Format must be swiss or arena' });
+  if (!PLAYABLE_MODES.includes(timeControl)) return res.status(400).json({ success: false, message: 'Unknown time control' });
+  if (!(buyIn >= 0) || !(rakePercent >= 0 && rakePercent <= 100)) return res.status(400).json({ success: false, message: 'Invalid buy-in or rake' });
+  if (!Array.isArray(prizeDistribution) || prizeDistribution.length === 0 || !prizeDistribution.every(p => p >= 0)) {
+    return res.status(400).json({ success: false, message: 'Invalid prize distribution' });
+  }
+  if (isNaN(startsAt.getTime())) return res.status(400).json({ success: false, message: 'Invalid start time' });
+  if (format === 'swiss' && !(parseInt(rounds, 10) > 0)) return res.status(400).json({ success: false, message: 'Swiss tournaments need a number of rounds' });
+  if (format === 'arena' && !(parseInt(durationMinutes, 10) > 0)) return res.status(400).json({ success: false, message: 'Arena tournaments need a duration' });
 
-    console.log(`Match ${matchId} started.`);
+  try {
+    const tournament = await tournaments.createTournament({
+      name,
+      format,
+      timeControl,
+      buyIn,
+      rakePercent,
+      prizeDistribution,
+      maxPlayers: maxPlayers ? parseInt(maxPlayers, 10) : null,
+      rounds: format === 'swiss' ? parseInt(rounds, 10) : null,
+      durationMinutes: format === 'arena' ? parseInt(durationMinutes, 10) : null,
+      startsAt,
+      createdBy: req.user.id
+    });
+    await audit.logAdminAction({ adminId: req.user.id, action: 'tournament.create', targetType: 'tournament', targetId: tournament.id, details: { name, format, buyIn } });
+    res.json({ success: true, tournament: tournamentSummary(tournament) });
+  } catch (e) {
+    sendTournamentError(res, e, 'Tournament Create');
+  }
+});
 
+// Admin: cancel and refund every buy-in (games in progress are played out but no longer count)
+app.post('/api/admin/tournaments/:id/cancel', requireAuth, requireAdmin, async (req, res) => {
+  try {
+    const tournament = await tournaments.getTournament(req.params.id);
+    if (!tournament) return res.status(404).json({ success: false, message: 'Tournament not found' });
+    const reason = req.body.reason || 'Cancelled by admin';
+    if (!(await cancelTournament(tournament, reason))) {
+      return res.status(400).json({ success: false, message: 'Tournament is already over' });
+    }
+    await audit.logAdminAction({ adminId: req.user.id, action: 'tournament.cancel', targetType: 'tournament', targetId: tournament.id, details: { reason } });
+    res.json({ success: true });
   } catch (e) {
-    console.error('Match creation failed:', e);
-    // Ideally refund if one failed
+    sendTournamentError(res, e, 'Tournament Cancel');
   }
-}
+});
 
-app.get('/health', (req, res) => res.json({ status: 'ok', players: players.size, matches: matches.size, queues }));
+app.get('/health', async (req, res) => {
+  try {
+    res.json({
+      status: 'ok',
+      instanceId: gameStore.INSTANCE_ID,
+      players: players.size,
+      matches: matches.size,
+      activeMatches: (await gameStore.listActiveMatchIds()).length,
+      queues: await gameStore.getQueueSizes()
+    });
+  } catch (e) {
+    res.status(500).json({ status: 'error', message: e.message });
+  }
+});
 
 const startServer = async () => {
+  payments.checkProviderConfig();
   await initDb();
+  // Resume games that were in flight when this (or another) instance went down
+  await recoverMatches();
+  await ensureLeaderboards();
   server.listen(PORT, () => {
-    console.log(`Chess server (Multi-Queue) running on port ${PORT}`);
+    console.log(`Chess server (Multi-Queue) running on port ${PORT} (instance ${gameStore.INSTANCE_ID})`);
   });
+  setInterval(() => matchmakingTick().catch(e => console.error('Matchmaking tick failed:', e)), MATCHMAKING_INTERVAL_MS);
+  setInterval(() => heartbeat().catch(e => console.error('Heartbeat failed:', e)), HEARTBEAT_INTERVAL_MS);
+  setInterval(() => tournamentTick().catch(e => console.error('Tournament tick failed:', e)), TOURNAMENT_TICK_MS);
+  setInterval(() => expireDeposits().catch(e => console.error('Deposit expiry failed:', e)), DEPOSIT_EXPIRY_INTERVAL_MS);
+  setInterval(() => notifications.processOutbox().catch(e => console.error('Email outbox failed:', e)), NOTIFICATION_INTERVAL_MS);
 };
 
 startServer();
@@ -0,0 +1,168 @@
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('./db');
+const wallet = require('./wallet');
+const audit = require('./audit');
+
+// open -> in_progress -> resolved. A reply from the user reopens a resolved ticket.
+const TICKET_STATUSES = ['open', 'in_progress', 'resolved'];
+const MAX_MESSAGE_LENGTH = 5000;
+
+class SupportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SupportError';
+  }
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const cleanMessage = (message) => {
+  const text = String(message || '').trim();
+  if (!text) throw new SupportError('Message is required');
+  if (text.length > MAX_MESSAGE_LENGTH) throw new SupportError(`Message is limited to ${MAX_MESSAGE_LENGTH} characters`);
+  return text;
+};
+
+// Disputes can point at one of the user's own matches or transactions
+const checkLinks = async (userId, matchId, transactionId) => {
+  if (matchId) {
+    if (!UUID_PATTERN.test(matchId)) throw new SupportError('Match not found');
+    const res = await pool.query('SELECT 1 FROM matches WHERE id = $1 AND (white_player_id = $2 OR black_player_id = $2)', [matchId, userId]);
+    if (res.rows.length === 0) throw new SupportError('Match not found');
+  }
+  if (transactionId) {
+    if (!UUID_PATTERN.test(transactionId)) throw new SupportError('Transaction not found');
+    const res = await pool.query('SELECT 1 FROM transactions WHERE id = $1 AND user_id = $2', [transactionId, userId]);
+    if (res.rows.length === 0) throw new SupportError('Transaction not found');
+  }
+};
+
+const createTicket = async (userId, { subject, message, matchId = null, transactionId = null }) => {
+  const title = String(subject || '').trim();
+  if (!title) throw new SupportError('Subject is required');
+  const text = cleanMessage(message);
+  await checkLinks(userId, matchId, transactionId);
+
+  const res = await pool.query(
+    `INSERT INTO support_tickets (id, user_id, subject, message, match_id, transaction_id)
+     VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+    [uuidv4(), userId, title.slice(0, 255), text, matchId, transactionId]
+  );
+  return res.rows[0];
+};
+
+const TICKET_COLUMNS = `
+  t.*, u.username, u.email, a.username AS assigned_username,
+  (SELECT COUNT(*)::int FROM support_messages m WHERE m.ticket_id = t.id) AS reply_count
+`;
+
+const listUserTickets = async (userId) => {
+  const res = await pool.query(`
+    SELECT ${TICKET_COLUMNS}
+    FROM support_tickets t
+    JOIN users u ON u.id = t.user_id
+    LEFT JOIN users a ON a.id = t.assigned_to
+    WHERE t.user_id = $1
+    ORDER BY COALESCE(t.updated_at, t.created_at) DESC
+  `, [userId]);
+  return res.rows;
+};
+
+// Admin queue, oldest first. Filters are optional.
+const listTickets = async ({ status = null, assignedTo = null } = {}) => {
+  const res = await pool.query(`
+    SELECT ${TICKET_COLUMNS}
+    FROM support_tickets t
+    JOIN users u ON u.id = t.user_id
+    LEFT JOIN users a ON a.id = t.assigned_to
+    WHERE ($1::text IS NULL OR t.status = $1) AND ($2::uuid IS NULL OR t.assigned_to = $2)
+    ORDER BY t.created_at ASC
+  `, [status, assignedTo]);
+  return res.rows;
+};
+
+const getTicket = async (ticketId) => {
+  if (!UUID_PATTERN.test(ticketId)) return null;
+  const res = await pool.query(`
+    SELECT ${TICKET_COLUMNS}
+    FROM support_tickets t
+    JOIN users u ON u.id = t.user_id
+    LEFT JOIN users a ON a.id = t.assigned_to
+    WHERE t.id = $1
+  `, [ticketId]);
+  return res.rows[0] || null;
+};
+
+// The ticket's own message comes first, then the replies in order
+const getThread = async (ticket) => {
+  const res = await pool.query(`
+    SELECT m.id, m.author_id, u.username AS author, m.is_staff, m.message, m.created_at
+    FROM support_messages m
+    JOIN users u ON u.id = m.author_id
+    WHERE m.ticket_id = $1
+    ORDER BY m.created_at ASC
+  `, [ticket.id]);
+  return [
+    { id: ticket.id, author_id: ticket.user_id, author: ticket.username, is_staff: false, message: ticket.message, created_at: ticket.created_at },
+    ...res.rows
+  ];
+};
+
+// Staff replies move an open ticket to in_progress; user replies reopen a resolved one
+const addReply = (ticket, authorId, message, isStaff) => wallet.withTransaction(async (client) => {
+  const text = cleanMessage(message);
+  const res = await client.query(
+    'INSERT INTO support_messages (id, ticket_id, author_id, is_staff, message) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+    [uuidv4(), ticket.id, authorId, isStaff, text]
+  );
+
+  let status = ticket.status;
+  if (isStaff && status === 'open') status = 'in_progress';
+  if (!isStaff && status === 'resolved') status = 'open';
+  await client.query(
+    'UPDATE support_tickets SET status = $1::text, resolved_at = CASE WHEN $1::text = \'resolved\' THEN resolved_at END, updated_at = NOW() WHERE id = $2',
+    [status, ticket.id]
+  );
+
+  if (isStaff) {
+    await audit.logAdminAction({ adminId: authorId, action: 'support.reply', targetType: 'support_ticket', targetId: ticket.id }, client);
+  }
+  return { reply: res.rows[0], status };
+});
+
+// assigneeId must be an admin (or null to unassign)
+const assignTicket = (adminId, ticket, assigneeId) => wallet.withTransaction(async (client) => {
+  if (assigneeId) {
+    const adminRes = await client.query('SELECT 1 FROM users WHERE id = $1 AND is_admin', [assigneeId]);
+    if (adminRes.rows.length === 0) throw new SupportError('Assignee must be an admin');
+  }
+  await client.query('UPDATE support_tickets SET assigned_to = $1, updated_at = NOW() WHERE id = $2', [assigneeId, ticket.id]);
+  await audit.logAdminAction({
+    adminId, action: 'support.assign', targetType: 'support_ticket', targetId: ticket.id, details: { assignedTo: assigneeId }
+  }, client);
+});
+
+const setTicketStatus = (adminId, ticket, status) => wallet.withTransaction(async (client) => {
+  if (!TICKET_STATUSES.includes(status)) throw new SupportError('Status must be open, in_progress or resolved');
+  await client.query(
+    'UPDATE support_tickets SET status = $1::text, resolved_at = CASE WHEN $1::text = \'resolved\' THEN NOW() END, updated_at = NOW() WHERE id = $2',
+    [status, ticket.id]
+  );
+  await audit.logAdminAction({
+    adminId, action: 'support.status', targetType: 'support_ticket', targetId: ticket.id, details: { from: ticket.status, to: status }
+  }, client);
+});
+
+module.exports = {
+  TICKET_STATUSES,
+  UUID_PATTERN,
+  SupportError,
+  createTicket,
+  listUserTickets,
+  listTickets,
+  getTicket,
+  getThread,
+  addReply,
+  assignTicket,
+  setTicketStatus
+};
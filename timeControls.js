@@ -0,0 +1,50 @@
+// Time controls are written "<minutes>+<increment seconds>", optionally with a Bronstein
+// delay: "3+2", "10+5", "1+0", "5+0d3" (3s delay). Each belongs to a game mode (the rating
+// pool) by its expected length, initial time + 40 moves of increment/delay.
+
+const MIN_INITIAL_MS = 15000;
+const MAX_INITIAL_MS = 180 * 60000;
+const MAX_BONUS_MS = 60000; // Increment or delay
+
+// Upper bounds (exclusive) of the expected game length per mode, in seconds. Picked so the
+// classic fixed controls keep their modes: 1+0 BULLET, 3+0 BLITZ, 5+0 RAPID, 10+0 CLASSICAL.
+const MODE_LIMITS = [['BULLET', 180], ['BLITZ', 300], ['RAPID', 600]];
+
+// What a bare game mode means (clients that only send gameMode)
+const DEFAULT_TIME_CONTROLS = { BULLET: '1+0', BLITZ: '3+0', RAPID: '5+0', CLASSICAL: '10+0' };
+
+const PATTERN = /^(\d+(?:\.\d+)?)\+(\d+)(?:d(\d+))?$/;
+
+const gameModeFor = (initialMs, bonusMs) => {
+  const expectedSeconds = (initialMs + 40 * bonusMs) / 1000;
+  const limit = MODE_LIMITS.find(([, max]) => expectedSeconds < max);
+  return limit ? limit[0] : 'CLASSICAL';
+};
+
+// { name, initialMs, incrementMs, delayMs, gameMode }, or null if malformed or out of range
+const parseTimeControl = (value) => {
+  const match = PATTERN.exec(String(value || '').replace(/\s/g, '').toLowerCase());
+  if (!match) return null;
+
+  const initialMs = Math.round(parseFloat(match[1]) * 60000);
+  const incrementMs = parseInt(match[2], 10) * 1000;
+  const delayMs = match[3] ? parseInt(match[3], 10) * 1000 : 0;
+  if (initialMs < MIN_INITIAL_MS || initialMs > MAX_INITIAL_MS) return null;
+  if (incrementMs > MAX_BONUS_MS || delayMs > MAX_BONUS_MS) return null;
+
+  const minutes = initialMs / 60000;
+  const name = `${minutes}+${incrementMs / 1000}${delayMs ? `d${delayMs / 1000}` : ''}`;
+  return { name, initialMs, incrementMs, delayMs, gameMode: gameModeFor(initialMs, incrementMs + delayMs) };
+};
+
+// Accepts a time control or a game mode name (its default control)
+const resolveTimeControl = (value) => {
+  const mode = String(value || '').toUpperCase();
+  return parseTimeControl(DEFAULT_TIME_CONTROLS[mode] || value);
+};
+
+module.exports = {
+  DEFAULT_TIME_CONTROLS,
+  parseTimeControl,
+  resolveTimeControl
+};
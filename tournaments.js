@@ -0,0 +1,396 @@
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('./db');
+const glicko2 = require('./glicko2');
+const wallet = require('./wallet');
+
+const FORMATS = ['swiss', 'arena'];
+const DEFAULT_RAKE_PERCENT = 10;
+const DEFAULT_PRIZE_DISTRIBUTION = [50, 30, 20];
+
+// Points for a win / draw. Tiebreaks use the same points.
+const POINTS = {
+  swiss: { win: 1, draw: 0.5 },
+  arena: { win: 2, draw: 1 }
+};
+
+// Backtracking budget for Swiss pairing before rematches are allowed
+const MAX_PAIRING_STEPS = 20000;
+
+// Validation failures meant for the user (bad state, already registered, ...)
+class TournamentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TournamentError';
+  }
+}
+
+// Fraction of the game each side scored: [white, black]
+const gameScores = (result) => {
+  if (result === '1-0') return [1, 0];
+  if (result === '0-1') return [0, 1];
+  if (result === '1/2-1/2') return [0.5, 0.5];
+  return [0, 0]; // '0-0' double forfeit
+};
+
+const toPoints = (fraction, format) => {
+  if (fraction === 1) return POINTS[format].win;
+  if (fraction === 0.5) return POINTS[format].draw;
+  return 0;
+};
+
+// players: [{ userId, username, rating, withdrawn }], games: tournament_games rows.
+// Returns players ranked by score, Buchholz (sum of opponents' scores), Sonneborn-Berger
+// (opponents' scores weighted by the result against them), then rating.
+const computeStandings = (players, games, format) => {
+  const rows = new Map(players.map(p => [p.userId, {
+    ...p, score: 0, wins: 0, draws: 0, losses: 0, byes: 0, whites: 0, blacks: 0, buchholz: 0, sonnebornBerger: 0, opponents: []
+  }]));
+
+  for (const game of games) {
+    if (!game.result) continue;
+    const [whiteScore, blackScore] = gameScores(game.result);
+    const sides = [[game.white_id, whiteScore, game.black_id, 'whites'], [game.black_id, blackScore, game.white_id, 'blacks']];
+    for (const [userId, fraction, opponentId, colorCount] of sides) {
+      const row = userId && rows.get(userId);
+      if (!row) continue;
+      row.score += toPoints(fraction, format);
+      if (!opponentId) {
+        row.byes++;
+        continue;
+      }
+      row[colorCount]++;
+      if (fraction === 1) row.wins++;
+      else if (fraction === 0.5) row.draws++;
+      else row.losses++;
+      row.opponents.push({ userId: opponentId, fraction });
+    }
+  }
+
+  for (const row of rows.values()) {
+    for (const { userId, fraction } of row.opponents) {
+      const opponent = rows.get(userId);
+      const opponentScore = opponent ? opponent.score : 0;
+      row.buchholz += opponentScore;
+      row.sonnebornBerger += fraction * opponentScore;
+    }
+  }
+
+  return Array.from(rows.values())
+    .sort((a, b) => b.score - a.score || b.buchholz - a.buchholz || b.sonnebornBerger - a.sonnebornBerger ||
+      b.rating - a.rating || a.username.localeCompare(b.username))
+    .map((row, i) => ({ ...row, rank: i + 1 }));
+};
+
+const pairKey = (a, b) => (a < b ? `${a}:${b}` : `${b}:${a}`);
+
+// White goes to whoever has had black more often; the higher-ranked player on a tie
+const orderColors = (a, b) => ((b.whites - b.blacks) < (a.whites - a.blacks) ? [b, a] : [a, b]);
+
+// Swiss: players in standings order are paired top-down with the nearest opponent they
+// haven't met yet (backtracking if needed). An odd player out gets a bye: the lowest-ranked
+// player who hasn't had one. Returns { pairs: [[white, black]], bye }.
+const swissPairings = (standings, games) => {
+  const active = standings.filter(p => !p.withdrawn);
+  const played = new Set(games.filter(g => g.black_id).map(g => pairKey(g.white_id, g.black_id)));
+
+  let bye = null;
+  if (active.length % 2 === 1) {
+    bye = [...active].reverse().find(p => p.byes === 0) || active[active.length - 1];
+    active.splice(active.indexOf(bye), 1);
+  }
+
+  let steps = 0;
+  const pairUp = (list) => {
+    if (list.length === 0) return [];
+    if (++steps > MAX_PAIRING_STEPS) return null;
+    const [first, ...rest] = list;
+    for (let i = 0; i < rest.length; i++) {
+      if (played.has(pairKey(first.userId, rest[i].userId))) continue;
+      const tail = pairUp(rest.filter((_, j) => j !== i));
+      if (tail) return [[first, rest[i]], ...tail];
+    }
+    return null;
+  };
+
+  let pairs = pairUp(active);
+  if (!pairs) {
+    // Everyone has met everyone nearby: fall back to pairing neighbours
+    pairs = [];
+    for (let i = 0; i + 1 < active.length; i += 2) pairs.push([active[i], active[i + 1]]);
+  }
+  return { pairs: pairs.map(([a, b]) => orderColors(a, b)), bye };
+};
+
+// Arena: waiting players (in standings order) are paired with their neighbour, skipping
+// their previous opponent unless there's nobody else. lastOpponents: { userId: opponentId }
+const arenaPairings = (waiting, lastOpponents) => {
+  const queue = [...waiting];
+  const pairs = [];
+  while (queue.length >= 2) {
+    const first = queue.shift();
+    let idx = queue.findIndex(p => lastOpponents[first.userId] !== p.userId && lastOpponents[p.userId] !== first.userId);
+    if (idx === -1) idx = 0;
+    const [second] = queue.splice(idx, 1);
+    pairs.push(orderColors(first, second));
+  }
+  return pairs;
+};
+
+// Split the pool (in paise): rake first, then the net pool by the distribution over the
+// places actually filled (re-weighted if fewer players than places). Rounding leftovers go to 1st.
+const splitPrizePool = (poolCents, rakePercent, distribution, rankedUserIds) => {
+  const rakeCents = Math.round(poolCents * rakePercent / 100);
+  const netCents = poolCents - rakeCents;
+  const places = distribution.slice(0, rankedUserIds.length);
+  const weight = places.reduce((sum, pct) => sum + pct, 0);
+  if (weight === 0) return { rakeCents: poolCents, prizes: [] };
+
+  const prizes = places.map((pct, i) => ({ userId: rankedUserIds[i], cents: Math.floor(netCents * pct / weight) }));
+  prizes[0].cents += netCents - prizes.reduce((sum, p) => sum + p.cents, 0);
+  return { rakeCents, prizes };
+};
+
+// --- Persistence ---
+
+const createTournament = async ({ name, format, timeControl, buyIn, rakePercent, prizeDistribution, maxPlayers, rounds, durationMinutes, startsAt, createdBy }) => {
+  const res = await pool.query(
+    `INSERT INTO tournaments (id, name, format, time_control, buy_in, rake_percent, prize_distribution, max_players, rounds, duration_minutes, starts_at, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING *`,
+    [uuidv4(), name, format, timeControl, buyIn, rakePercent, JSON.stringify(prizeDistribution), maxPlayers, rounds, durationMinutes, startsAt, createdBy]
+  );
+  return res.rows[0];
+};
+
+const listTournaments = async (status = null) => {
+  const res = await pool.query(`
+    SELECT t.*, COUNT(tp.user_id) FILTER (WHERE NOT tp.withdrawn) AS player_count
+    FROM tournaments t
+    LEFT JOIN tournament_players tp ON tp.tournament_id = t.id
+    WHERE $1::text IS NULL OR t.status = $1
+    GROUP BY t.id
+    ORDER BY t.starts_at DESC
+  `, [status]);
+  return res.rows;
+};
+
+const getTournament = async (tournamentId) => {
+  const res = await pool.query('SELECT * FROM tournaments WHERE id = $1', [tournamentId]);
+  return res.rows[0] || null;
+};
+
+// Scheduled tournaments whose start time has come
+const listDueTournaments = async () => {
+  const res = await pool.query("SELECT * FROM tournaments WHERE status = 'scheduled' AND starts_at <= NOW() ORDER BY starts_at");
+  return res.rows;
+};
+
+// Registered players with their rating in the tournament's time control
+const getPlayers = async (tournament) => {
+  const res = await pool.query(`
+    SELECT tp.user_id, u.username, tp.withdrawn, tp.final_rank, tp.prize, COALESCE(ums.rating, $2) AS rating
+    FROM tournament_players tp
+    JOIN users u ON u.id = tp.user_id
+    LEFT JOIN user_mode_stats ums ON ums.user_id = tp.user_id AND ums.game_mode = $3
+    WHERE tp.tournament_id = $1
+  `, [tournament.id, glicko2.DEFAULT_RATING, tournament.time_control]);
+  return res.rows.map(row => ({
+    userId: row.user_id,
+    username: row.username,
+    rating: row.rating,
+    withdrawn: row.withdrawn,
+    finalRank: row.final_rank,
+    prize: parseFloat(row.prize)
+  }));
+};
+
+const getGames = async (tournamentId) => {
+  const res = await pool.query('SELECT * FROM tournament_games WHERE tournament_id = $1 ORDER BY round, created_at', [tournamentId]);
+  return res.rows;
+};
+
+const countPendingGames = async (tournamentId) => {
+  const res = await pool.query('SELECT COUNT(*) FROM tournament_games WHERE tournament_id = $1 AND result IS NULL', [tournamentId]);
+  return parseInt(res.rows[0].count, 10);
+};
+
+const lockTournament = async (client, tournamentId) => {
+  const res = await client.query('SELECT * FROM tournaments WHERE id = $1 FOR UPDATE', [tournamentId]);
+  if (!res.rows[0]) throw new TournamentError('Tournament not found');
+  return res.rows[0];
+};
+
+// Buy-in moves from the wallet into the prize pool in the same transaction as the registration
+const register = (tournamentId, userId) => wallet.withTransaction(async (client) => {
+  const tournament = await lockTournament(client, tournamentId);
+  if (tournament.status !== 'scheduled') throw new TournamentError('Registration is closed');
+
+  const existing = await client.query('SELECT withdrawn FROM tournament_players WHERE tournament_id = $1 AND user_id = $2', [tournamentId, userId]);
+  if (existing.rows[0]) {
+    throw new TournamentError(existing.rows[0].withdrawn ? 'You withdrew from this tournament' : 'Already registered');
+  }
+
+  if (tournament.max_players) {
+    const count = await client.query('SELECT COUNT(*) FROM tournament_players WHERE tournament_id = $1 AND NOT withdrawn', [tournamentId]);
+    if (parseInt(count.rows[0].count, 10) >= tournament.max_players) throw new TournamentError('Tournament is full');
+  }
+
+  const balances = await wallet.lockWallets(client, [userId]);
+  const balance = balances[userId] !== undefined ? balances[userId] : 0;
+  if (balance < wallet.toCents(tournament.buy_in)) {
+    throw new wallet.InsufficientBalanceError(userId, parseFloat(tournament.buy_in), wallet.fromCents(balance));
+  }
+
+  await client.query('INSERT INTO tournament_players (tournament_id, user_id) VALUES ($1, $2)', [tournamentId, userId]);
+  await wallet.applyEntry(client, {
+    userId, type: 'entry_fee', amount: tournament.buy_in, referenceId: tournamentId, description: `Tournament Buy-in: ${tournament.name}`
+  });
+  await client.query('UPDATE tournaments SET prize_pool = prize_pool + $1 WHERE id = $2', [tournament.buy_in, tournamentId]);
+});
+
+// Before the start the buy-in is refunded; once running the player just stops being paired.
+// Returns the refunded amount.
+const withdraw = (tournamentId, userId) => wallet.withTransaction(async (client) => {
+  const tournament = await lockTournament(client, tournamentId);
+  if (tournament.status !== 'scheduled' && tournament.status !== 'running') throw new TournamentError('Tournament is over');
+
+  const res = await client.query(
+    'UPDATE tournament_players SET withdrawn = TRUE WHERE tournament_id = $1 AND user_id = $2 AND NOT withdrawn',
+    [tournamentId, userId]
+  );
+  if (res.rowCount === 0) throw new TournamentError('Not registered');
+  if (tournament.status === 'running') return 0;
+
+  await wallet.applyEntry(client, {
+    userId, type: 'refund', amount: tournament.buy_in, referenceId: tournamentId, description: `Refund: Withdrew from ${tournament.name}`
+  });
+  await client.query('UPDATE tournaments SET prize_pool = prize_pool - $1 WHERE id = $2', [tournament.buy_in, tournamentId]);
+  return parseFloat(tournament.buy_in);
+});
+
+// scheduled -> running. Returns the updated row, or null if it was already started.
+const start = async (tournamentId) => {
+  const res = await pool.query(`
+    UPDATE tournaments
+    SET status = 'running',
+        ends_at = CASE WHEN format = 'arena' THEN NOW() + duration_minutes * INTERVAL '1 minute' ELSE NULL END
+    WHERE id = $1 AND status = 'scheduled'
+    RETURNING *
+  `, [tournamentId]);
+  return res.rows[0] || null;
+};
+
+// Refund every buy-in. A player refunded on withdrawal isn't refunded twice (ledger key).
+// Returns false if the pool was already paid out or refunded.
+const cancel = (tournamentId) => wallet.withTransaction(async (client) => {
+  const tournament = await lockTournament(client, tournamentId);
+  if (tournament.escrow_status !== 'held') return false;
+
+  const players = await client.query('SELECT user_id FROM tournament_players WHERE tournament_id = $1', [tournamentId]);
+  const userIds = players.rows.map(row => row.user_id);
+  await wallet.lockWallets(client, userIds);
+  for (const userId of userIds) {
+    await wallet.applyEntry(client, {
+      userId, type: 'refund', amount: tournament.buy_in, referenceId: tournamentId, description: `Refund: ${tournament.name} cancelled`
+    });
+  }
+  await client.query(
+    "UPDATE tournaments SET status = 'cancelled', escrow_status = 'refunded', prize_pool = 0, ended_at = NOW() WHERE id = $1",
+    [tournamentId]
+  );
+  return true;
+});
+
+// Insert one round of pairings (a bye is scored as a win straight away). Returns the game rows.
+const addRound = (tournamentId, round, pairs, bye = null) => wallet.withTransaction(async (client) => {
+  const games = [];
+  for (const [white, black] of pairs) {
+    const res = await client.query(
+      'INSERT INTO tournament_games (id, tournament_id, round, white_id, black_id) VALUES ($1, $2, $3, $4, $5) RETURNING *',
+      [uuidv4(), tournamentId, round, white.userId, black.userId]
+    );
+    games.push(res.rows[0]);
+  }
+  if (bye) {
+    await client.query(
+      "INSERT INTO tournament_games (id, tournament_id, round, white_id, result) VALUES ($1, $2, $3, $4, '1-0')",
+      [uuidv4(), tournamentId, round, bye.userId]
+    );
+  }
+  await client.query('UPDATE tournaments SET current_round = $1 WHERE id = $2', [round, tournamentId]);
+  return games;
+});
+
+const setGameMatch = (gameId, matchId) => pool.query('UPDATE tournament_games SET match_id = $1 WHERE id = $2', [matchId, gameId]);
+
+// First result wins; replays (e.g. after recovery) are ignored
+const recordGameResult = (gameId, result, matchId = null) => pool.query(
+  'UPDATE tournament_games SET result = $1, match_id = COALESCE($2, match_id) WHERE id = $3 AND result IS NULL',
+  [result, matchId, gameId]
+);
+
+// Pay out prizes and the rake from the pool and close the tournament, all or nothing.
+// Returns the prizes ({ userId: amount }) or null if the pool was already settled.
+const settle = (tournamentId, standings) => wallet.withTransaction(async (client) => {
+  const tournament = await lockTournament(client, tournamentId);
+  if (tournament.escrow_status !== 'held') return null;
+
+  const ranked = standings.filter(p => !p.withdrawn).map(p => p.userId);
+  const { rakeCents, prizes } = splitPrizePool(
+    wallet.toCents(tournament.prize_pool), parseFloat(tournament.rake_percent), tournament.prize_distribution, ranked
+  );
+
+  await wallet.lockWallets(client, prizes.map(p => p.userId));
+  for (const [i, prize] of prizes.entries()) {
+    await wallet.applyEntry(client, {
+      userId: prize.userId, type: 'winnings', amount: wallet.fromCents(prize.cents), referenceId: tournamentId,
+      description: `Tournament prize (#${i + 1}): ${tournament.name}`
+    });
+  }
+
+  if (rakeCents > 0) {
+    await client.query(
+      'INSERT INTO company_earnings (id, tournament_id, amount, description) VALUES ($1, $2, $3, $4) ON CONFLICT (tournament_id) WHERE tournament_id IS NOT NULL DO NOTHING',
+      [uuidv4(), tournamentId, wallet.fromCents(rakeCents), `${tournament.rake_percent}% rake from tournament ${tournament.name}`]
+    );
+  }
+
+  for (const row of standings) {
+    const prize = prizes.find(p => p.userId === row.userId);
+    await client.query(
+      'UPDATE tournament_players SET final_rank = $1, prize = $2 WHERE tournament_id = $3 AND user_id = $4',
+      [row.rank, prize ? wallet.fromCents(prize.cents) : 0, tournamentId, row.userId]
+    );
+  }
+
+  await client.query(
+    "UPDATE tournaments SET status = 'finished', escrow_status = 'settled', ended_at = NOW() WHERE id = $1",
+    [tournamentId]
+  );
+  return Object.fromEntries(prizes.map(p => [p.userId, wallet.fromCents(p.cents)]));
+});
+
+module.exports = {
+  FORMATS,
+  DEFAULT_RAKE_PERCENT,
+  DEFAULT_PRIZE_DISTRIBUTION,
+  TournamentError,
+  computeStandings,
+  swissPairings,
+  arenaPairings,
+  splitPrizePool,
+  createTournament,
+  listTournaments,
+  listDueTournaments,
+  getTournament,
+  getPlayers,
+  getGames,
+  countPendingGames,
+  register,
+  withdraw,
+  start,
+  cancel,
+  addRound,
+  setGameMatch,
+  recordGameResult,
+  settle
+};
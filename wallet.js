@@ -0,0 +1,207 @@
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('./db');
+
+// How each transaction type moves wallet_balance
+const CREDIT_TYPES = ['deposit', 'winnings', 'refund', 'bonus'];
+const DEBIT_TYPES = ['entry_fee', 'withdrawal'];
+
+class InsufficientBalanceError extends Error {
+  constructor(userId, needed, balance) {
+    super(`Insufficient Balance! Need ₹${needed}, Have ₹${balance}`);
+    this.name = 'InsufficientBalanceError';
+    this.userId = userId;
+  }
+}
+
+// All arithmetic is done in integer paise to avoid float drift
+const toCents = (amount) => Math.round(parseFloat(amount) * 100);
+const fromCents = (cents) => cents / 100;
+
+const withTransaction = async (fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (e) {
+    await client.query('ROLLBACK');
+    throw e;
+  } finally {
+    client.release();
+  }
+};
+
+// Lock wallet rows in a stable order so concurrent transactions can't deadlock.
+// Returns { userId: balanceInCents }.
+const lockWallets = async (client, userIds) => {
+  const res = await client.query('SELECT id, wallet_balance FROM users WHERE id = ANY($1) ORDER BY id FOR UPDATE', [userIds]);
+  return Object.fromEntries(res.rows.map(row => [row.id, toCents(row.wallet_balance)]));
+};
+
+// Write one ledger row and move the balance with it. Rows with a reference_id are unique per
+// (user, type, reference), so replaying the same entry is a no-op. Returns false if it already existed.
+const applyEntry = async (client, { userId, type, amount, referenceId = null, description = null }) => {
+  // The type decides the direction; a negative amount would turn a debit into a credit
+  if (!(toCents(amount) >= 0)) throw new Error(`Invalid ${type} amount ${amount}`);
+  // Free games and tournament pairings move no money; don't clutter the ledger with zero rows
+  if (toCents(amount) === 0) return false;
+  const sign = DEBIT_TYPES.includes(type) ? -1 : 1;
+  const res = await client.query(
+    `INSERT INTO transactions (id, user_id, type, amount, status, reference_id, description)
+     VALUES ($1, $2, $3, $4, 'completed', $5, $6)
+     ON CONFLICT (user_id, type, reference_id) WHERE reference_id IS NOT NULL DO NOTHING`,
+    [uuidv4(), userId, type, amount, referenceId, description]
+  );
+  if (res.rowCount === 0) return false;
+
+  await client.query('UPDATE users SET wallet_balance = wallet_balance + $1 WHERE id = $2', [sign * amount, userId]);
+  return true;
+};
+
+// Settle a ledger row recorded ahead of time (a gateway deposit starts out 'pending'): mark it
+// completed and move the balance with it. Returns false if it was already completed.
+// The caller holds the wallet lock.
+const completeEntry = async (client, transactionId) => {
+  const res = await client.query(
+    "UPDATE transactions SET status = 'completed' WHERE id = $1 AND status <> 'completed' RETURNING user_id, type, amount",
+    [transactionId]
+  );
+  const row = res.rows[0];
+  if (!row) return false;
+
+  const sign = DEBIT_TYPES.includes(row.type) ? -1 : 1;
+  await client.query('UPDATE users SET wallet_balance = wallet_balance + $1 WHERE id = $2', [sign * row.amount, row.user_id]);
+  return true;
+};
+
+// Single credit outside of a match
+const credit = (userId, amount, type, referenceId = null, description = null) => withTransaction(async (client) => {
+  await lockWallets(client, [userId]);
+  return applyEntry(client, { userId, type, amount, referenceId, description });
+});
+
+// Create the match row and move both entry fees into its escrow, all or nothing.
+// Throws InsufficientBalanceError (nothing is charged) if either player can't cover the fee.
+// The fee must be positive; free games use openFreeMatch.
+const openMatchEscrow = ({ matchId, whiteId, blackId, fee, gameMode, timeControl = null }) => withTransaction(async (client) => {
+  const userIds = [whiteId, blackId].filter(Boolean);
+  const feeCents = toCents(fee);
+  if (!Number.isFinite(feeCents) || feeCents <= 0) throw new Error(`Invalid entry fee ${fee} for match ${matchId}`);
+
+  const balances = await lockWallets(client, userIds);
+  for (const userId of userIds) {
+    const balance = balances[userId] !== undefined ? balances[userId] : 0;
+    if (balance < feeCents) throw new InsufficientBalanceError(userId, fee, fromCents(balance));
+  }
+
+  await client.query(
+    `INSERT INTO matches (id, white_player_id, black_player_id, entry_fee, stake_amount, game_mode, time_control, escrow_amount, escrow_status)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'held')`,
+    [matchId, whiteId, blackId, fee, fee, gameMode, timeControl, fromCents(feeCents * userIds.length)]
+  );
+
+  for (const userId of userIds) {
+    await applyEntry(client, { userId, type: 'entry_fee', amount: fee, referenceId: matchId, description: `Entry Fee: ${gameMode}` });
+  }
+});
+
+// Matches without an entry fee (free challenges, tournament pairings) get the row only; there
+// is no escrow to hold or pay out (escrow_status 'none').
+const openFreeMatch = async ({ matchId, whiteId, blackId, gameMode, timeControl = null }) => {
+  await pool.query(
+    `INSERT INTO matches (id, white_player_id, black_player_id, entry_fee, stake_amount, game_mode, time_control, escrow_amount, escrow_status)
+     VALUES ($1, $2, $3, 0, 0, $4, $5, 0, 'none')`,
+    [matchId, whiteId, blackId, gameMode, timeControl]
+  );
+};
+
+// Record the result of a free match. Idempotent like settleMatchEscrow: returns false if the
+// row was already closed. (Free rows from before 'none' existed say 'held' with nothing in it.)
+const closeFreeMatch = async (matchId, { winnerId = null, resultReason }) => {
+  const res = await pool.query(
+    `UPDATE matches SET ended_at = NOW(), winner_id = $1, result_reason = $2, escrow_status = 'none'
+     WHERE id = $3 AND ended_at IS NULL AND escrow_amount = 0`,
+    [winnerId, resultReason, matchId]
+  );
+  return res.rowCount > 0;
+};
+
+// Pay the escrow out (credits + rake must equal it exactly) and close the match row.
+// Idempotent: a match whose escrow is no longer 'held' is left untouched and false is returned.
+// credits: [{ userId, type: 'winnings' | 'refund', amount, description }]
+const settleMatchEscrow = (matchId, { credits, rake = null, winnerId = null, resultReason, status = 'settled' }) => withTransaction(async (client) => {
+  const matchRes = await client.query('SELECT escrow_amount, escrow_status FROM matches WHERE id = $1 FOR UPDATE', [matchId]);
+  const row = matchRes.rows[0];
+  if (!row) throw new Error(`Match ${matchId} not found`);
+  if (row.escrow_status !== 'held') return false;
+
+  const rakeCents = rake ? toCents(rake.amount) : 0;
+  const total = credits.reduce((sum, c) => sum + toCents(c.amount), 0) + rakeCents;
+  if (total !== toCents(row.escrow_amount)) {
+    throw new Error(`Settlement for ${matchId} (₹${fromCents(total)}) doesn't match escrow (₹${row.escrow_amount})`);
+  }
+
+  await lockWallets(client, credits.map(c => c.userId));
+  for (const c of credits) {
+    await applyEntry(client, { ...c, referenceId: matchId });
+  }
+
+  if (rakeCents > 0) {
+    await client.query(
+      'INSERT INTO company_earnings (id, match_id, amount, description) VALUES ($1, $2, $3, $4) ON CONFLICT (match_id) WHERE match_id IS NOT NULL DO NOTHING',
+      [uuidv4(), matchId, fromCents(rakeCents), rake.description]
+    );
+  }
+
+  await client.query(
+    'UPDATE matches SET ended_at = NOW(), winner_id = $1, result_reason = $2, escrow_status = $3 WHERE id = $4',
+    [winnerId, resultReason, status, matchId]
+  );
+  return true;
+});
+
+// Users whose wallet_balance differs from the signed sum of their completed transactions
+const findWalletMismatches = async (userId = null) => {
+  const res = await pool.query(`
+    SELECT u.id, u.username, u.wallet_balance, COALESCE(SUM(
+      CASE
+        WHEN t.type = ANY($1) THEN t.amount
+        WHEN t.type = ANY($2) THEN -t.amount
+        ELSE 0
+      END
+    ), 0) AS ledger_balance
+    FROM users u
+    LEFT JOIN transactions t ON t.user_id = u.id AND t.status = 'completed'
+    WHERE $3::uuid IS NULL OR u.id = $3
+    GROUP BY u.id
+  `, [CREDIT_TYPES, DEBIT_TYPES, userId]);
+
+  return res.rows
+    .filter(row => toCents(row.wallet_balance) !== toCents(row.ledger_balance))
+    .map(row => ({
+      userId: row.id,
+      username: row.username,
+      walletBalance: parseFloat(row.wallet_balance),
+      ledgerBalance: parseFloat(row.ledger_balance),
+      difference: fromCents(toCents(row.wallet_balance) - toCents(row.ledger_balance))
+    }));
+};
+
+module.exports = {
+  CREDIT_TYPES,
+  DEBIT_TYPES,
+  InsufficientBalanceError,
+  toCents,
+  fromCents,
+  withTransaction,
+  lockWallets,
+  applyEntry,
+  completeEntry,
+  credit,
+  openMatchEscrow,
+  openFreeMatch,
+  settleMatchEscrow,
+  closeFreeMatch,
+  findWalletMismatches
+};
@@ -0,0 +1,295 @@
+const { v4: uuidv4 } = require('uuid');
+const { pool } = require('./db');
+const wallet = require('./wallet');
+const audit = require('./audit');
+const { UUID_PATTERN } = require('./support');
+require('dotenv').config();
+
+// Limits (rupees). Only credits of WITHDRAWABLE_TYPES can be taken out; e.g. add 'deposit'
+// to let unplayed deposits be withdrawn. Bonus credits never are unless listed here.
+const WITHDRAWAL_MIN = parseFloat(process.env.WITHDRAWAL_MIN) || 100;
+const WITHDRAWAL_DAILY_LIMIT = parseFloat(process.env.WITHDRAWAL_DAILY_LIMIT) || 10000;
+const WITHDRAWAL_DAILY_COUNT = parseInt(process.env.WITHDRAWAL_DAILY_COUNT, 10) || 3;
+const WITHDRAWABLE_TYPES = (process.env.WITHDRAWABLE_TYPES || 'winnings').split(',').map(t => t.trim()).filter(Boolean);
+
+const PAYOUT_METHOD_TYPES = ['upi', 'bank'];
+const UPI_PATTERN = /^[\w.-]{2,256}@[a-zA-Z]{2,64}$/;
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const ACCOUNT_NUMBER_PATTERN = /^\d{9,18}$/;
+
+// pending -> approved -> paid, or pending/approved -> rejected. A user can cancel while pending.
+// The amount leaves the wallet on request and is refunded on rejection/cancellation.
+// Rejected and cancelled requests give their amount back, so only these count towards limits.
+const COUNTED_STATUSES = ['pending', 'approved', 'paid'];
+
+// Rule violations meant for the user (limits, KYC, bad state)
+class WithdrawalError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'WithdrawalError';
+  }
+}
+
+const maskAccount = (accountNumber) => `****${accountNumber.slice(-4)}`;
+
+// Payout method as shown to clients (bank account numbers masked)
+const payoutMethodView = (row) => ({
+  id: row.id,
+  type: row.type,
+  upiId: row.upi_id,
+  accountHolder: row.account_holder,
+  accountNumber: row.account_number ? maskAccount(row.account_number) : null,
+  ifsc: row.ifsc,
+  createdAt: row.created_at
+});
+
+const describeMethod = (row) => (row.type === 'upi' ? `UPI ${row.upi_id}` : `Bank ${maskAccount(row.account_number)}`);
+
+const listPayoutMethods = async (userId) => {
+  const res = await pool.query('SELECT * FROM payout_methods WHERE user_id = $1 AND active ORDER BY created_at', [userId]);
+  return res.rows.map(payoutMethodView);
+};
+
+// data: { type: 'upi', upiId } or { type: 'bank', accountHolder, accountNumber, ifsc }
+const addPayoutMethod = async (userId, data) => {
+  if (!PAYOUT_METHOD_TYPES.includes(data.type)) throw new WithdrawalError('Type must be upi or bank');
+
+  let row;
+  if (data.type === 'upi') {
+    const upiId = String(data.upiId || '').trim();
+    if (!UPI_PATTERN.test(upiId)) throw new WithdrawalError('Invalid UPI ID');
+    row = [upiId, null, null, null];
+  } else {
+    const accountHolder = String(data.accountHolder || '').trim();
+    const accountNumber = String(data.accountNumber || '').replace(/\s/g, '');
+    const ifsc = String(data.ifsc || '').trim().toUpperCase();
+    if (!accountHolder) throw new WithdrawalError('Account holder name is required');
+    if (!ACCOUNT_NUMBER_PATTERN.test(accountNumber)) throw new WithdrawalError('Invalid account number');
+    if (!IFSC_PATTERN.test(ifsc)) throw new WithdrawalError('Invalid IFSC code');
+    row = [null, accountHolder, accountNumber, ifsc];
+  }
+
+  const res = await pool.query(
+    `INSERT INTO payout_methods (id, user_id, type, upi_id, account_holder, account_number, ifsc)
+     VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+    [uuidv4(), userId, data.type, ...row]
+  );
+  return payoutMethodView(res.rows[0]);
+};
+
+// Kept for past withdrawals, just hidden. Returns false if it wasn't the user's.
+const removePayoutMethod = async (userId, methodId) => {
+  if (!UUID_PATTERN.test(String(methodId || ''))) return false;
+  const res = await pool.query('UPDATE payout_methods SET active = FALSE WHERE id = $1 AND user_id = $2 AND active', [methodId, userId]);
+  return res.rowCount > 0;
+};
+
+// Withdrawable = credits of WITHDRAWABLE_TYPES minus what has already gone out (net of
+// reversed withdrawals), never more than the balance. All in paise.
+const getWithdrawableCents = async (client, userId, balanceCents) => {
+  const res = await client.query(`
+    SELECT
+      COALESCE((SELECT SUM(amount) FROM transactions WHERE user_id = $1 AND status = 'completed' AND type = ANY($2)), 0) AS earned,
+      COALESCE((SELECT SUM(amount) FROM transactions WHERE user_id = $1 AND status = 'completed' AND type = 'withdrawal'), 0) AS withdrawn,
+      COALESCE((
+        SELECT SUM(t.amount) FROM transactions t
+        JOIN withdrawals w ON w.id::text = t.reference_id
+        WHERE t.user_id = $1 AND t.status = 'completed' AND t.type = 'refund'
+      ), 0) AS reversed
+  `, [userId, WITHDRAWABLE_TYPES]);
+  const { earned, withdrawn, reversed } = res.rows[0];
+  const available = wallet.toCents(earned) - wallet.toCents(withdrawn) + wallet.toCents(reversed);
+  return Math.max(0, Math.min(balanceCents, available));
+};
+
+// Amount and count requested in the last 24 hours (rejected/cancelled ones don't count)
+const getDailyUsage = async (client, userId) => {
+  const res = await client.query(`
+    SELECT COUNT(*)::int AS count, COALESCE(SUM(amount), 0) AS total
+    FROM withdrawals
+    WHERE user_id = $1 AND status = ANY($2) AND requested_at > NOW() - INTERVAL '24 hours'
+  `, [userId, COUNTED_STATUSES]);
+  return { count: res.rows[0].count, totalCents: wallet.toCents(res.rows[0].total) };
+};
+
+// What the user can take out right now, and the limits that apply
+const getWithdrawalSummary = async (userId) => {
+  const balanceRes = await pool.query('SELECT wallet_balance, withdrawals_frozen FROM users WHERE id = $1', [userId]);
+  const balanceCents = balanceRes.rows[0] ? wallet.toCents(balanceRes.rows[0].wallet_balance) : 0;
+  const withdrawableCents = await getWithdrawableCents(pool, userId, balanceCents);
+  const usage = await getDailyUsage(pool, userId);
+  const kycRes = await pool.query('SELECT status FROM users_kyc WHERE user_id = $1', [userId]);
+
+  return {
+    balance: wallet.fromCents(balanceCents),
+    withdrawable: wallet.fromCents(withdrawableCents),
+    kycStatus: kycRes.rows[0] ? kycRes.rows[0].status : 'not_submitted',
+    frozen: !!(balanceRes.rows[0] && balanceRes.rows[0].withdrawals_frozen),
+    minimum: WITHDRAWAL_MIN,
+    dailyLimit: WITHDRAWAL_DAILY_LIMIT,
+    dailyCount: WITHDRAWAL_DAILY_COUNT,
+    usedToday: wallet.fromCents(usage.totalCents),
+    requestsToday: usage.count
+  };
+};
+
+const listWithdrawals = async (userId) => {
+  const res = await pool.query(`
+    SELECT w.*, m.type AS method_type, m.upi_id, m.account_number
+    FROM withdrawals w
+    JOIN payout_methods m ON m.id = w.payout_method_id
+    WHERE w.user_id = $1
+    ORDER BY w.requested_at DESC
+  `, [userId]);
+  return res.rows.map(row => ({ ...row, account_number: row.account_number ? maskAccount(row.account_number) : null }));
+};
+
+// Checks KYC, the method, minimum, daily limits and withdrawable balance, then moves the
+// amount out of the wallet (held until the request is paid or reversed).
+const requestWithdrawal = (userId, { amount, payoutMethodId }) => wallet.withTransaction(async (client) => {
+  const amountCents = wallet.toCents(amount);
+  if (!(amountCents > 0)) throw new WithdrawalError('Invalid amount');
+  if (!UUID_PATTERN.test(String(payoutMethodId || ''))) throw new WithdrawalError('Invalid payout method');
+
+  const kycRes = await client.query('SELECT status FROM users_kyc WHERE user_id = $1', [userId]);
+  if (!kycRes.rows[0] || kycRes.rows[0].status !== 'verified') {
+    throw new WithdrawalError('Complete KYC verification before withdrawing');
+  }
+
+  const methodRes = await client.query('SELECT * FROM payout_methods WHERE id = $1 AND user_id = $2 AND active', [payoutMethodId, userId]);
+  const method = methodRes.rows[0];
+  if (!method) throw new WithdrawalError('Payout method not found');
+
+  if (amountCents < wallet.toCents(WITHDRAWAL_MIN)) throw new WithdrawalError(`Minimum withdrawal is ₹${WITHDRAWAL_MIN}`);
+
+  // Locking the wallet first also serialises concurrent requests for the daily limit
+  const balances = await wallet.lockWallets(client, [userId]);
+  await checkNotFrozen(client, userId);
+  const usage = await getDailyUsage(client, userId);
+  if (usage.count >= WITHDRAWAL_DAILY_COUNT) {
+    throw new WithdrawalError(`Daily limit of ${WITHDRAWAL_DAILY_COUNT} withdrawals reached`);
+  }
+  if (usage.totalCents + amountCents > wallet.toCents(WITHDRAWAL_DAILY_LIMIT)) {
+    const left = wallet.fromCents(Math.max(0, wallet.toCents(WITHDRAWAL_DAILY_LIMIT) - usage.totalCents));
+    throw new WithdrawalError(`Daily withdrawal limit is ₹${WITHDRAWAL_DAILY_LIMIT}. You can withdraw ₹${left} more today`);
+  }
+
+  const withdrawableCents = await getWithdrawableCents(client, userId, balances[userId] || 0);
+  if (amountCents > withdrawableCents) {
+    throw new WithdrawalError(`Only ₹${wallet.fromCents(withdrawableCents)} is withdrawable`);
+  }
+
+  const withdrawalId = uuidv4();
+  const res = await client.query(
+    'INSERT INTO withdrawals (id, user_id, payout_method_id, amount) VALUES ($1, $2, $3, $4) RETURNING *',
+    [withdrawalId, userId, method.id, wallet.fromCents(amountCents)]
+  );
+  await wallet.applyEntry(client, {
+    userId, type: 'withdrawal', amount: wallet.fromCents(amountCents), referenceId: withdrawalId, description: `Withdrawal to ${describeMethod(method)}`
+  });
+  return { ...res.rows[0], destination: describeMethod(method) };
+});
+
+// Fair-play reviews can freeze an account's payouts (see fairPlay.js)
+const checkNotFrozen = async (client, userId) => {
+  const res = await client.query('SELECT withdrawals_frozen FROM users WHERE id = $1', [userId]);
+  if (res.rows[0] && res.rows[0].withdrawals_frozen) {
+    throw new WithdrawalError('Withdrawals are on hold for this account pending a fair-play review');
+  }
+};
+
+const lockWithdrawal = async (client, withdrawalId) => {
+  if (!UUID_PATTERN.test(String(withdrawalId || ''))) throw new WithdrawalError('Withdrawal not found');
+  const res = await client.query('SELECT * FROM withdrawals WHERE id = $1 FOR UPDATE', [withdrawalId]);
+  if (!res.rows[0]) throw new WithdrawalError('Withdrawal not found');
+  return res.rows[0];
+};
+
+// Put the held amount back in the wallet
+const reverse = async (client, withdrawal, description) => {
+  await wallet.lockWallets(client, [withdrawal.user_id]);
+  await wallet.applyEntry(client, {
+    userId: withdrawal.user_id, type: 'refund', amount: withdrawal.amount, referenceId: withdrawal.id, description
+  });
+};
+
+const cancelWithdrawal = (userId, withdrawalId) => wallet.withTransaction(async (client) => {
+  const withdrawal = await lockWithdrawal(client, withdrawalId);
+  if (withdrawal.user_id !== userId) throw new WithdrawalError('Withdrawal not found');
+  if (withdrawal.status !== 'pending') throw new WithdrawalError('Only pending withdrawals can be cancelled');
+
+  await reverse(client, withdrawal, 'Withdrawal cancelled');
+  const res = await client.query("UPDATE withdrawals SET status = 'cancelled', reviewed_at = NOW() WHERE id = $1 RETURNING *", [withdrawalId]);
+  return res.rows[0];
+});
+
+// --- Admin processing (each step is audited in the same transaction) ---
+
+const listForReview = async (status = 'pending') => {
+  const res = await pool.query(`
+    SELECT w.*, u.username, u.email, m.type AS method_type, m.upi_id, m.account_holder, m.account_number, m.ifsc
+    FROM withdrawals w
+    JOIN users u ON u.id = w.user_id
+    JOIN payout_methods m ON m.id = w.payout_method_id
+    WHERE w.status = $1
+    ORDER BY w.requested_at ASC
+  `, [status]);
+  return res.rows;
+};
+
+const approveWithdrawal = (adminId, withdrawalId) => wallet.withTransaction(async (client) => {
+  const withdrawal = await lockWithdrawal(client, withdrawalId);
+  if (withdrawal.status !== 'pending') throw new WithdrawalError('Only pending withdrawals can be approved');
+  await checkNotFrozen(client, withdrawal.user_id);
+
+  const res = await client.query(
+    "UPDATE withdrawals SET status = 'approved', reviewed_by = $1, reviewed_at = NOW() WHERE id = $2 RETURNING *",
+    [adminId, withdrawalId]
+  );
+  await audit.logAdminAction({ adminId, action: 'withdrawal.approve', targetType: 'withdrawal', targetId: withdrawalId }, client);
+  return res.rows[0];
+});
+
+const rejectWithdrawal = (adminId, withdrawalId, reason) => wallet.withTransaction(async (client) => {
+  const withdrawal = await lockWithdrawal(client, withdrawalId);
+  if (withdrawal.status !== 'pending' && withdrawal.status !== 'approved') {
+    throw new WithdrawalError('Only pending or approved withdrawals can be rejected');
+  }
+
+  await reverse(client, withdrawal, `Withdrawal rejected: ${reason}`.slice(0, 255));
+  const res = await client.query(
+    "UPDATE withdrawals SET status = 'rejected', rejection_reason = $1, reviewed_by = $2, reviewed_at = NOW() WHERE id = $3 RETURNING *",
+    [reason, adminId, withdrawalId]
+  );
+  await audit.logAdminAction({ adminId, action: 'withdrawal.reject', targetType: 'withdrawal', targetId: withdrawalId, details: { reason } }, client);
+  return res.rows[0];
+});
+
+// payoutReference: the bank/UPI transaction reference (UTR) of the actual transfer
+const markWithdrawalPaid = (adminId, withdrawalId, payoutReference) => wallet.withTransaction(async (client) => {
+  const withdrawal = await lockWithdrawal(client, withdrawalId);
+  if (withdrawal.status !== 'approved') throw new WithdrawalError('Only approved withdrawals can be marked paid');
+  await checkNotFrozen(client, withdrawal.user_id);
+
+  const res = await client.query(
+    "UPDATE withdrawals SET status = 'paid', payout_reference = $1, paid_at = NOW() WHERE id = $2 RETURNING *",
+    [payoutReference, withdrawalId]
+  );
+  await audit.logAdminAction({ adminId, action: 'withdrawal.paid', targetType: 'withdrawal', targetId: withdrawalId, details: { payoutReference } }, client);
+  return res.rows[0];
+});
+
+module.exports = {
+  WithdrawalError,
+  listPayoutMethods,
+  addPayoutMethod,
+  removePayoutMethod,
+  getWithdrawalSummary,
+  listWithdrawals,
+  requestWithdrawal,
+  cancelWithdrawal,
+  listForReview,
+  approveWithdrawal,
+  rejectWithdrawal,
+  markWithdrawalPaid
+};